@@ -0,0 +1,365 @@
+import { createServer } from "http";
+import { appendFileSync, createReadStream, mkdirSync, readdirSync, unlinkSync } from "fs";
+import { join } from "path";
+import { createInterface } from "readline";
+import { ARCHIVE_DIR, ARCHIVE_HOST, ARCHIVE_PORT, ARCHIVE_RETENTION_DAYS } from "./config.js";
+import { writeLog } from "./log.js";
+import { applyPrivacy } from "./privacy.js";
+import { classifyToolError } from "./tools.js";
+import { messageAgent, toolAgent } from "./labels.js";
+
+// Event archive - every counted assistant message and tool call is appended to a JSON Lines
+// file per UTC day under ARCHIVE_DIR, so single sessions can still be drilled into after their
+// metrics have been aggregated away. Records are filed by the day they happened, not the day
+// they were seen, and files older than ARCHIVE_RETENTION_DAYS are deleted.
+let archiveBuffer = [];
+let archivePrunedAt = 0;
+
+const archiveDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+const archiveCutoff = () => Date.now() - ARCHIVE_RETENTION_DAYS * 86400000;
+
+function archiveRecord(target, sessionId, record) {
+  if (!ARCHIVE_DIR || record.time < archiveCutoff()) return;
+  const meta = target.sessionMetadata.get(sessionId) || {};
+  archiveBuffer.push(applyPrivacy({
+    source: target.instance,
+    session_id: sessionId || "unknown",
+    title: meta.title || "",
+    directory: meta.directory || "",
+    parent_id: meta.parentId || "",
+    ...record,
+  }));
+}
+
+export function archiveMessage(target, info, sessionId, modelId, providerId, cost) {
+  const { created, completed } = info.time || {};
+  const tokens = info.tokens || {};
+  archiveRecord(target, sessionId, {
+    type: "message",
+    time: completed || created || Date.now(),
+    message_id: info.id,
+    model: modelId,
+    provider: providerId,
+    ...messageAgent(info),
+    tokens: {
+      input: tokens.input || 0,
+      output: tokens.output || 0,
+      reasoning: tokens.reasoning || 0,
+      cache_read: tokens.cache?.read || 0,
+      cache_write: tokens.cache?.write || 0,
+    },
+    cost,
+    duration_ms: created && completed >= created ? completed - created : null,
+  });
+}
+
+export function archiveToolPart(target, part, sessionId) {
+  const state = part.state || {};
+  const { start, end } = state.time || {};
+  archiveRecord(target, sessionId, {
+    type: "tool",
+    time: end || start || Date.now(),
+    message_id: part.messageID || null,
+    call_id: part.callID || part.id,
+    tool: part.tool || "unknown",
+    ...toolAgent(target, part),
+    status: state.status,
+    error_class: state.status === "error" ? classifyToolError(state.error) : null,
+    duration_ms: start && end >= start ? end - start : null,
+  });
+}
+
+// Records leave the buffer only once their day file has taken them, so a failed write is
+// retried on the next flush
+export function flushArchive() {
+  if (!ARCHIVE_DIR) return;
+  const byDay = new Map();
+  for (const record of archiveBuffer) {
+    const day = archiveDay(record.time);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(record);
+  }
+  const written = new Set();
+  try {
+    mkdirSync(ARCHIVE_DIR, { recursive: true });
+    for (const [day, records] of byDay) {
+      appendFileSync(join(ARCHIVE_DIR, `events-${day}.jsonl`), records.map(record => JSON.stringify(record) + "\n").join(""));
+      records.forEach(record => written.add(record));
+    }
+    if (Date.now() - archivePrunedAt > 3600000) pruneArchive();
+  } catch (error) {
+    writeLog("error", `Failed to write event archive: ${error.message}`);
+  } finally {
+    archiveBuffer = archiveBuffer.filter(record => !written.has(record));
+  }
+}
+
+function archiveFiles() {
+  try {
+    return readdirSync(ARCHIVE_DIR)
+      .map(file => ({ file: join(ARCHIVE_DIR, file), day: file.match(/^events-(\d{4}-\d{2}-\d{2})\.jsonl$/)?.[1] }))
+      .filter(f => f.day)
+      .sort((a, b) => a.day.localeCompare(b.day));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    return [];
+  }
+}
+
+// Failures are logged and retried on the next prune; they never stop the exporter
+export function pruneArchive() {
+  archivePrunedAt = Date.now();
+  const cutoffDay = archiveDay(archiveCutoff());
+  let files;
+  try {
+    files = archiveFiles();
+  } catch (error) {
+    writeLog("error", `Failed to prune event archive: ${error.message}`);
+    return;
+  }
+  for (const { file, day } of files) {
+    if (day >= cutoffDay) break;
+    try {
+      unlinkSync(file);
+      writeLog("info", `Pruned event archive ${file}`);
+    } catch (error) {
+      if (error.code !== "ENOENT") writeLog("warn", `Failed to prune event archive ${file}: ${error.message}`);
+    }
+  }
+}
+
+// Records between from and to (ms), reading only the day files that can hold them
+async function readArchive(from, to, filter = () => true) {
+  flushArchive();
+  const records = [];
+  const fromDay = archiveDay(Math.max(from, 0));
+  const toDay = isFinite(to) ? archiveDay(to) : "9999";
+  for (const { file, day } of archiveFiles()) {
+    if (day < fromDay || day > toDay) continue;
+    for await (const line of createInterface({ input: createReadStream(file), crlfDelay: Infinity })) {
+      if (!line) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue; // A torn last line from a crash mid-write
+      }
+      if (record.time >= from && record.time <= to && filter(record)) records.push(record);
+    }
+  }
+  return records;
+}
+
+function summarizeSessions(records) {
+  const sessions = new Map();
+  for (const record of records) {
+    const key = `${record.source}\0${record.session_id}`;
+    let summary = sessions.get(key);
+    if (!summary) {
+      summary = {
+        source: record.source,
+        session_id: record.session_id,
+        title: "",
+        directory: "",
+        parent_id: "",
+        first_activity: record.time,
+        last_activity: record.time,
+        message_count: 0,
+        tokens: { input: 0, output: 0, reasoning: 0, cache_read: 0, cache_write: 0, total: 0 },
+        cost: 0,
+        tool_calls: 0,
+        tool_errors: 0,
+        models: {},
+        agents: {},
+        tools: {},
+      };
+      sessions.set(key, summary);
+    }
+    summary.first_activity = Math.min(summary.first_activity, record.time);
+    summary.last_activity = Math.max(summary.last_activity, record.time);
+    if (record.title) summary.title = record.title;
+    if (record.directory) summary.directory = record.directory;
+    if (record.parent_id) summary.parent_id = record.parent_id;
+    
+    if (record.type === "message") {
+      summary.message_count++;
+      for (const [type, value] of Object.entries(record.tokens || {})) {
+        summary.tokens[type] = (summary.tokens[type] || 0) + value;
+        summary.tokens.total += value;
+      }
+      summary.cost += record.cost || 0;
+      summary.models[record.model] = (summary.models[record.model] || 0) + 1;
+      if (record.agent) summary.agents[record.agent] = (summary.agents[record.agent] || 0) + 1;
+    } else if (record.type === "tool") {
+      summary.tool_calls++;
+      if (record.status === "error") summary.tool_errors++;
+      summary.tools[record.tool] = (summary.tools[record.tool] || 0) + 1;
+    }
+  }
+  rollUpSubagents(sessions);
+  return [...sessions.values()].map(s => ({
+    ...s,
+    first_activity: new Date(s.first_activity).toISOString(),
+    last_activity: new Date(s.last_activity).toISOString(),
+  }));
+}
+
+// Give every session its subagent sessions (by parent_id) and totals that include them,
+// however deeply they nest. Only sessions with records in the queried range take part.
+function rollUpSubagents(sessions) {
+  for (const summary of sessions.values()) {
+    summary.subagents = [];
+    summary.with_subagents = {
+      message_count: 0,
+      tokens: { input: 0, output: 0, reasoning: 0, cache_read: 0, cache_write: 0, total: 0 },
+      cost: 0,
+      tool_calls: 0,
+      tool_errors: 0,
+    };
+  }
+  for (const summary of sessions.values()) {
+    const parent = sessions.get(`${summary.source}\0${summary.parent_id}`);
+    if (parent) parent.subagents.push(summary.session_id);
+    
+    const seen = new Set();
+    for (let s = summary; s && !seen.has(s); s = sessions.get(`${s.source}\0${s.parent_id}`)) {
+      seen.add(s);
+      const total = s.with_subagents;
+      total.message_count += summary.message_count;
+      for (const [type, value] of Object.entries(summary.tokens)) total.tokens[type] = (total.tokens[type] || 0) + value;
+      total.cost += summary.cost;
+      total.tool_calls += summary.tool_calls;
+      total.tool_errors += summary.tool_errors;
+    }
+  }
+}
+
+// One session's messages in order, each with the tool calls it made
+function sessionMessages(records) {
+  const messages = new Map();
+  for (const record of records) {
+    const id = record.message_id || "unknown";
+    if (!messages.has(id)) messages.set(id, { message_id: id, time: null, tools: [] });
+    const message = messages.get(id);
+    if (record.type === "message") {
+      Object.assign(message, {
+        time: new Date(record.time).toISOString(),
+        model: record.model,
+        provider: record.provider,
+        agent: record.agent,
+        tokens: record.tokens,
+        cost: record.cost,
+        duration_ms: record.duration_ms,
+      });
+    } else if (record.type === "tool") {
+      const { tool, call_id, status, error_class, duration_ms } = record;
+      message.tools.push({ tool, call_id, status, error_class, duration_ms, time: new Date(record.time).toISOString() });
+    }
+  }
+  // Tool calls whose message hasn't finished sort by their first call
+  const sortTime = (m) => m.time || m.tools[0]?.time || "";
+  return [...messages.values()].sort((a, b) => sortTime(a).localeCompare(sortTime(b)));
+}
+
+const ARCHIVE_SORT_KEYS = {
+  tokens: (s) => s.tokens.total,
+  cost: (s) => s.cost,
+  messages: (s) => s.message_count,
+  tool_calls: (s) => s.tool_calls,
+};
+
+// Sessions without a parent in `sessions`, i.e. what's left once subagents are folded into their parents
+const topLevel = (sessions) => {
+  const ids = new Set(sessions.map(s => `${s.source}\0${s.session_id}`));
+  return sessions.filter(s => !s.parent_id || !ids.has(`${s.source}\0${s.parent_id}`));
+};
+
+// Read-only JSON API over the archive:
+//   GET /sessions[?from&to&source&limit&rollup]  sessions with totals, most recently active first
+//   GET /sessions/<id>[?source&from&to]          one session's messages with tokens and tool calls
+//   GET /top[?by=tokens|cost|messages|tool_calls&from&to&source&limit&rollup]  top sessions over a range
+// from/to are ISO dates or epoch milliseconds. rollup=true lists only top-level sessions, and
+// /top ranks them by their totals including subagents.
+async function handleArchiveRequest(url) {
+  const params = url.searchParams;
+  const time = (name, fallback) => {
+    const value = params.get(name);
+    if (!value) return fallback;
+    const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (isNaN(ms)) throw Object.assign(new Error(`${name} is not a date: "${value}"`), { status: 400 });
+    return ms;
+  };
+  const limit = Math.max(0, parseInt(params.get("limit"), 10) || 0);
+  const source = params.get("source");
+  const bySource = (record) => !source || record.source === source;
+  const rollup = params.get("rollup") === "true";
+  
+  if (url.pathname === "/sessions") {
+    const records = await readArchive(time("from", 0), time("to", Infinity), bySource);
+    let sessions = summarizeSessions(records).sort((a, b) => b.last_activity.localeCompare(a.last_activity));
+    if (rollup) sessions = topLevel(sessions);
+    return { sessions: sessions.slice(0, limit || 100) };
+  }
+  
+  const sessionPath = url.pathname.match(/^\/sessions\/([^/]+)$/);
+  if (sessionPath) {
+    const sessionId = decodeURIComponent(sessionPath[1]);
+    // Every session is read so the totals can include this one's subagents
+    const records = await readArchive(time("from", 0), time("to", Infinity), bySource);
+    const summaries = summarizeSessions(records).filter(s => s.session_id === sessionId);
+    if (summaries.length === 0) throw Object.assign(new Error(`Session ${sessionId} is not in the archive`), { status: 404 });
+    records.sort((a, b) => a.time - b.time);
+    
+    // The same id on several targets is reported per source
+    return {
+      sessions: summaries.map(summary => ({
+        ...summary,
+        messages: sessionMessages(records.filter(r => r.session_id === sessionId && r.source === summary.source)),
+      })),
+    };
+  }
+  
+  if (url.pathname === "/top") {
+    const by = params.get("by") || "tokens";
+    if (!ARCHIVE_SORT_KEYS[by]) {
+      throw Object.assign(new Error(`by must be one of ${Object.keys(ARCHIVE_SORT_KEYS).join(", ")}`), { status: 400 });
+    }
+    const to = time("to", Date.now());
+    const from = time("from", to - 86400000);
+    const records = await readArchive(from, to, bySource);
+    const key = rollup ? (s) => ARCHIVE_SORT_KEYS[by](s.with_subagents) : ARCHIVE_SORT_KEYS[by];
+    let sessions = summarizeSessions(records);
+    if (rollup) sessions = topLevel(sessions);
+    sessions.sort((a, b) => key(b) - key(a));
+    return {
+      by,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      sessions: sessions.slice(0, limit || 10),
+    };
+  }
+  
+  throw Object.assign(new Error("Not found"), { status: 404 });
+}
+
+export function startArchiveServer() {
+  const server = createServer(async (req, res) => {
+    let status = 200;
+    let body;
+    try {
+      if (req.method !== "GET") throw Object.assign(new Error("Method not allowed"), { status: 405 });
+      body = await handleArchiveRequest(new URL(req.url, "http://localhost"));
+    } catch (error) {
+      status = error.status || 500;
+      body = { error: error.message };
+      if (status === 500) writeLog("error", `Archive query failed: ${error.message}`);
+    }
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body, null, 2) + "\n");
+  });
+  server.on("error", (error) => {
+    writeLog("error", `Archive server error: ${error.message}`);
+  });
+  server.listen(ARCHIVE_PORT, ARCHIVE_HOST);
+  return server;
+}
@@ -0,0 +1,204 @@
+import { fetch } from "undici";
+import { readFileSync } from "fs";
+import { BUDGET_FILE, INSTANCE_ID } from "./config.js";
+import { log, logWarn, writeLog } from "./log.js";
+import { meter } from "./telemetry.js";
+import { markCheckpointDirty } from "./checkpoints.js";
+import { totalTokens } from "./sessions.js";
+import { messageAgent, rootSessionId } from "./labels.js";
+import { normalizeModel } from "./models.js";
+import { messageCost } from "./pricing.js";
+
+// Budget rules (see BUDGET_FILE)
+const budgetUtilizationGauge = meter.createObservableGauge("opencode.budget.utilization", {
+  description: "Usage in the current window as a fraction of the budget rule's limit",
+  unit: "1",
+});
+
+const budgetNotificationCounter = meter.createCounter("opencode_exporter.budget.notifications", {
+  description: "Budget webhook notifications by result (sent, failed)",
+  unit: "1",
+});
+
+budgetUtilizationGauge.addCallback((observableResult) => {
+  for (const rule of budgetRules) {
+    observableResult.observe(budgetUtilization(rule), { rule: rule.name, measure: rule.measure, window: rule.window });
+  }
+});
+
+// Budget rules - usage is accumulated per rule and window, and a webhook is notified
+// once per window when a threshold is crossed. Windows are persisted with the checkpoint.
+// e.g. {"webhook": "https://...", "rules": [{"name": "daily-output", "measure": "output_tokens",
+//       "window": "day", "limit": 2000000, "match": {"provider": "anthropic"}}]}
+const BUDGET_MEASURES = {
+  tokens: totalTokens,
+  input_tokens: (t) => t.input || 0,
+  output_tokens: (t) => t.output || 0,
+  reasoning_tokens: (t) => t.reasoning || 0,
+  cache_read_tokens: (t) => t.cache?.read || 0,
+  cache_write_tokens: (t) => t.cache?.write || 0,
+};
+const BUDGET_WINDOWS = ["hour", "day", "month", "session"];
+
+let budgetConfig = {};
+export let budgetRules = [];
+// rule name -> Map(window key -> {value, notified: [thresholds]})
+export const budgetState = new Map();
+
+export function loadBudgets() {
+  if (!BUDGET_FILE) return;
+  try {
+    budgetConfig = JSON.parse(readFileSync(BUDGET_FILE, "utf8"));
+  } catch (error) {
+    writeLog("error", `Failed to load budget file ${BUDGET_FILE}: ${error.message}`);
+    process.exit(1);
+  }
+  
+  const names = new Set();
+  const errors = [];
+  for (const [i, rule] of (budgetConfig.rules || []).entries()) {
+    const name = rule.name || `rule ${i}`;
+    if (!rule.name) errors.push(`${name}: missing "name"`);
+    else if (names.has(rule.name)) errors.push(`${name}: duplicate name`);
+    if (!(rule.measure in BUDGET_MEASURES) && rule.measure !== "cost" && rule.measure !== "messages") {
+      errors.push(`${name}: unknown measure "${rule.measure}"`);
+    }
+    if (!BUDGET_WINDOWS.includes(rule.window)) errors.push(`${name}: unknown window "${rule.window}"`);
+    if (!(rule.limit > 0)) errors.push(`${name}: "limit" must be a positive number`);
+    if (rule.thresholds && !(Array.isArray(rule.thresholds) && rule.thresholds.every(t => t > 0))) {
+      errors.push(`${name}: "thresholds" must be a list of positive fractions of the limit`);
+    }
+    names.add(rule.name);
+  }
+  if (errors.length > 0) {
+    writeLog("error", `Invalid budget file ${BUDGET_FILE}:\n  ${errors.join("\n  ")}`);
+    process.exit(1);
+  }
+  
+  budgetRules = (budgetConfig.rules || []).map(rule => ({ ...rule, thresholds: rule.thresholds || [1] }));
+  budgetRules.forEach(rule => budgetState.set(rule.name, new Map()));
+  writeLog("info", `Loaded ${budgetRules.length} budget rules`);
+}
+
+// Calendar windows are UTC, keyed by their ISO prefix ("2026-10-19" for a day)
+function budgetWindowKey(rule, ms) {
+  const iso = new Date(ms).toISOString();
+  return { hour: iso.slice(0, 13), day: iso.slice(0, 10), month: iso.slice(0, 7) }[rule.window];
+}
+
+function budgetMatches(rule, attrs) {
+  return Object.entries(rule.match || {}).every(([key, value]) => attrs[key] === value);
+}
+
+function budgetUtilization(rule) {
+  const windows = budgetState.get(rule.name);
+  if (rule.window === "session") {
+    // Report the session closest to (or furthest past) its limit
+    let max = 0;
+    for (const entry of windows.values()) max = Math.max(max, entry.value);
+    return max / rule.limit;
+  }
+  return (windows.get(budgetWindowKey(rule, Date.now()))?.value || 0) / rule.limit;
+}
+
+// Add one completed assistant message to every matching budget rule.
+// Historical messages (live = false) count towards usage but don't notify on their own.
+export function recordBudgetUsage(target, info, sessionId, { live = true } = {}) {
+  if (budgetRules.length === 0 || info.role !== "assistant" || !info.tokens) return;
+  
+  const { model: modelId, provider: providerId } = normalizeModel(info.modelID, info.providerID);
+  const attrs = { source: target.instance, model: modelId, provider: providerId, ...messageAgent(info) };
+  // A subagent's usage counts towards the session that started it
+  const budgetSessionId = rootSessionId(target, sessionId);
+  const now = Date.now();
+  const messageTime = info.time?.completed || info.time?.created || now;
+  
+  for (const rule of budgetRules) {
+    if (!budgetMatches(rule, attrs)) continue;
+    
+    let key;
+    if (rule.window === "session") {
+      if (!budgetSessionId) continue;
+      key = `${target.instance}/${budgetSessionId}`;
+    } else {
+      key = budgetWindowKey(rule, now);
+      // Messages from an earlier window don't count against this one
+      if (budgetWindowKey(rule, messageTime) !== key) continue;
+    }
+    
+    const amount = rule.measure === "cost" ? messageCost(info, modelId, providerId) :
+      rule.measure === "messages" ? 1 : BUDGET_MEASURES[rule.measure](info.tokens);
+    if (amount <= 0) continue;
+    
+    const windows = budgetState.get(rule.name);
+    if (rule.window !== "session" && !windows.has(key)) {
+      // A new calendar window starts from zero
+      windows.clear();
+    }
+    const entry = windows.get(key) || { value: 0, notified: [] };
+    windows.set(key, entry);
+    entry.value += amount;
+    markCheckpointDirty();
+    
+    if (live) checkBudget(target, rule, key, entry, budgetSessionId);
+  }
+}
+
+function checkBudget(target, rule, key, entry, sessionId) {
+  const utilization = entry.value / rule.limit;
+  const crossed = rule.thresholds.filter(t => utilization >= t && !entry.notified.includes(t));
+  if (crossed.length === 0) return;
+  
+  // Only the highest newly crossed threshold is reported
+  const threshold = Math.max(...crossed);
+  entry.notified.push(...crossed);
+  markCheckpointDirty();
+  
+  const alert = {
+    rule: rule.name,
+    measure: rule.measure,
+    window: rule.window,
+    window_key: key,
+    limit: rule.limit,
+    value: entry.value,
+    utilization,
+    threshold,
+    source: target.instance,
+    session_id: rule.window === "session" ? sessionId : undefined,
+    exporter: INSTANCE_ID,
+    timestamp: new Date().toISOString(),
+  };
+  log(target, `Budget "${rule.name}" at ${Math.round(utilization * 100)}% of ${rule.limit} ${rule.measure} (${key})`);
+  
+  notifyBudget(rule, alert).then((result) => {
+    if (result === "sent") budgetNotificationCounter.add(1, { rule: rule.name, result });
+    markCheckpointDirty();
+  }).catch((error) => {
+    budgetNotificationCounter.add(1, { rule: rule.name, result: "failed" });
+    logWarn(target, `Budget webhook for "${rule.name}" failed: ${error.message}`, { rule: rule.name });
+    // Let the next message in this window try again
+    entry.notified = entry.notified.filter(t => !crossed.includes(t));
+    markCheckpointDirty();
+  });
+}
+
+// Resolves to "sent" once the webhook accepted the alert, or "skipped" when there is none to call
+async function notifyBudget(rule, alert) {
+  const url = rule.webhook || budgetConfig.webhook;
+  if (!url) return "skipped";
+  
+  const format = rule.format || budgetConfig.format || "json";
+  const body = format === "slack" ? {
+    text: `:warning: Budget *${alert.rule}* at ${Math.round(alert.utilization * 100)}% ` +
+      `(${Number(alert.value.toFixed(4))} of ${alert.limit} ${alert.measure}, ${alert.window} ${alert.window_key}, source ${alert.source})`,
+  } : alert;
+  
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...budgetConfig.headers, ...rule.headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return "sent";
+}
@@ -0,0 +1,163 @@
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from "fs";
+import { dirname } from "path";
+import { STATE_FILE } from "./config.js";
+import { log, writeLog } from "./log.js";
+import { targets } from "./targets.js";
+import { budgetRules, budgetState } from "./budgets.js";
+
+// Checkpoint store - persisted to STATE_FILE so restarts don't double-count.
+// One file holds the checkpoints of every target, keyed by instance.
+let checkpointDirty = false;
+
+// Messages and tool calls that arrive without a session id can't be checkpointed: no session
+// listing ever drops them again. They are only remembered in memory, the newest UNSCOPED_LIMIT.
+const UNSCOPED_LIMIT = 1000;
+
+export function loadCheckpoints() {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(STATE_FILE, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      writeLog("error", `Failed to load state file: ${error.message}`);
+    }
+    return;
+  }
+
+  // Version 1 files predate multiple targets and belong to the first one
+  const saved = data.version === 1 ? { [targets[0].instance]: data } : data.targets || {};
+  for (const target of targets) {
+    if (!saved[target.instance]) continue;
+    for (const [id, cp] of Object.entries(saved[target.instance].sessions || {})) {
+      if (!id) continue; // Older versions filed session-less entries under ""
+      const messages = new Set(cp.messages || []);
+      target.checkpoints.set(id, {
+        updated: cp.updated || 0,
+        lastMessageId: cp.lastMessageId || "",
+        messages,
+        tools: new Set(cp.tools || []),
+      });
+      messages.forEach(k => target.processedMessages.add(k));
+    }
+    target.hasCheckpoint = true;
+    log(target, `Loaded checkpoint: ${target.checkpoints.size} sessions, ${target.processedMessages.size} messages`);
+  }
+  
+  // Budget windows of rules that no longer exist are dropped
+  for (const [name, windows] of Object.entries(data.budgets || {})) {
+    const state = budgetState.get(name);
+    if (!state) continue;
+    for (const [key, entry] of Object.entries(windows)) {
+      state.set(key, { value: entry.value || 0, notified: entry.notified || [] });
+    }
+  }
+}
+
+export function saveCheckpoints() {
+  if (!checkpointDirty) return;
+  try {
+    const saved = {};
+    for (const target of targets) {
+      // Nothing to save until a target has counted its history
+      if (!target.hasCheckpoint) continue;
+      const sessions = {};
+      for (const [id, cp] of target.checkpoints) {
+        sessions[id] = {
+          updated: cp.updated,
+          lastMessageId: cp.lastMessageId,
+          messages: [...cp.messages],
+          tools: [...cp.tools],
+        };
+      }
+      saved[target.instance] = { sessions };
+    }
+    // Write to a temp file and rename so a crash never leaves a truncated state file
+    mkdirSync(dirname(STATE_FILE), { recursive: true });
+    const tmpFile = `${STATE_FILE}.tmp`;
+    const budgets = {};
+    for (const [name, windows] of budgetState) {
+      budgets[name] = Object.fromEntries(windows);
+    }
+    writeFileSync(tmpFile, JSON.stringify({ version: 2, targets: saved, budgets }));
+    renameSync(tmpFile, STATE_FILE);
+    checkpointDirty = false;
+  } catch (error) {
+    writeLog("error", `Failed to save state file: ${error.message}`);
+  }
+}
+
+// Budget windows are saved with the checkpoint, so changing them marks it dirty too
+export function markCheckpointDirty() {
+  checkpointDirty = true;
+}
+
+// Returns true if the session was not known to the checkpoint yet
+export function touchSession(target, sessionId) {
+  if (target.checkpoints.has(sessionId)) return false;
+  target.checkpoints.set(sessionId, { updated: 0, lastMessageId: "", messages: new Set(), tools: new Set() });
+  checkpointDirty = true;
+  return true;
+}
+
+function rememberUnscoped(target, key) {
+  target.unscoped.add(key);
+  for (const oldest of target.unscoped) {
+    if (target.unscoped.size <= UNSCOPED_LIMIT) break;
+    target.unscoped.delete(oldest);
+    target.processedMessages.delete(oldest);
+  }
+}
+
+// Returns false if this tool call was already counted
+export function markToolCounted(target, sessionId, callId) {
+  if (!sessionId) {
+    if (target.unscoped.has(`tool:${callId}`)) return false;
+    rememberUnscoped(target, `tool:${callId}`);
+    return true;
+  }
+  touchSession(target, sessionId);
+  const cp = target.checkpoints.get(sessionId);
+  if (cp.tools.has(callId)) return false;
+  cp.tools.add(callId);
+  checkpointDirty = true;
+  return true;
+}
+
+// Remember the session's time.updated once all its messages have been counted,
+// so the poller can skip it until OpenCode reports a change
+export function markPolled(target, sessionId, updated) {
+  const cp = target.checkpoints.get(sessionId);
+  if (!cp || !updated || cp.updated === updated) return;
+  cp.updated = updated;
+  checkpointDirty = true;
+}
+
+export function isUnchanged(target, session) {
+  const updated = session.time?.updated;
+  return Boolean(updated) && target.checkpoints.get(session.id)?.updated === updated;
+}
+
+export function markProcessed(target, sessionId, msgKey, messageId) {
+  target.processedMessages.add(msgKey);
+  if (!sessionId) {
+    rememberUnscoped(target, msgKey);
+    return;
+  }
+  touchSession(target, sessionId);
+  const cp = target.checkpoints.get(sessionId);
+  cp.messages.add(msgKey);
+  cp.lastMessageId = messageId || cp.lastMessageId;
+  checkpointDirty = true;
+}
+
+// Drop a session's checkpoint once OpenCode no longer knows about it
+export function forgetSession(target, sessionId) {
+  const cp = target.checkpoints.get(sessionId);
+  if (!cp) return;
+  cp.messages.forEach(k => target.processedMessages.delete(k));
+  target.checkpoints.delete(sessionId);
+  for (const rule of budgetRules) {
+    if (rule.window === "session") budgetState.get(rule.name).delete(`${target.instance}/${sessionId}`);
+  }
+  checkpointDirty = true;
+}
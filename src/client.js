@@ -0,0 +1,46 @@
+import { fetch } from "undici";
+import { POLL_CONCURRENCY, POLL_RATE_LIMIT } from "./config.js";
+
+// Requests to an OpenCode server, through the target's concurrency/rate limiter
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait for a request slot on the target: bounded concurrency plus an even request rate
+async function acquireSlot(target) {
+  const limiter = target.limiter;
+  if (limiter.active < POLL_CONCURRENCY) {
+    limiter.active++;
+  } else {
+    // releaseSlot hands its slot straight to us, so active stays the same
+    await new Promise(resolve => limiter.queue.push(resolve));
+  }
+  if (POLL_RATE_LIMIT > 0) {
+    const now = Date.now();
+    const slot = Math.max(now, limiter.nextSlot);
+    limiter.nextSlot = slot + 1000 / POLL_RATE_LIMIT;
+    if (slot > now) await sleep(slot - now);
+  }
+}
+
+function releaseSlot(target) {
+  const next = target.limiter.queue.shift();
+  if (next) {
+    next();
+  } else {
+    target.limiter.active--;
+  }
+}
+
+export async function fetchJson(target, path) {
+  await acquireSlot(target);
+  try {
+    const response = await fetch(`${target.url}${path}`, { headers: target.headers, dispatcher: target.dispatcher });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    const body = await response.text();
+    target.bytesFetched += Buffer.byteLength(body);
+    return JSON.parse(body);
+  } finally {
+    releaseSlot(target);
+  }
+}
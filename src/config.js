@@ -0,0 +1,321 @@
+import { readFileSync } from "fs";
+import { hostname } from "os";
+import { extname } from "path";
+import YAML from "yaml";
+
+// Configuration - every setting has a default, can be set in the optional CONFIG_FILE
+// (YAML or JSON, keyed by the setting's lowercase name, e.g. `poll_interval: 60000`), and
+// can be overridden by the environment variable of the same name. Settings marked `reload`
+// are re-read on SIGHUP or when CONFIG_FILE changes (see reloadConfig); the rest need a restart.
+
+// `node index.js replay ...` imports history once and exits instead of running the exporter
+export const REPLAY_MODE = process.argv[2] === "replay";
+export const CONFIG_FILE = process.env.CONFIG_FILE || "";
+
+const list = { type: "list", default: [] };
+const SETTINGS = {
+  OPENCODE_URL: { type: "string", default: "http://host.docker.internal:4096" },
+  // OpenCode auth for the single-target setup: basic auth or bearer token, extra headers, custom CA
+  OPENCODE_USERNAME: { type: "string", default: "" },
+  OPENCODE_PASSWORD: { type: "string", default: "" },
+  OPENCODE_TOKEN: { type: "string", default: "" },
+  OPENCODE_HEADERS: { type: "string", default: "" },
+  OPENCODE_CA_FILE: { type: "string", default: "" },
+  // Optional JSON file listing several OpenCode servers: [{"url", "instance", "headers", "auth", "caFile"}]
+  TARGETS_FILE: { type: "string", default: "" },
+  INSTANCE_ID: { type: "string", default: () => hostname() },
+  // Metric readers: "otlp", "prometheus", "memory" (collected on demand, for tests) or "none"
+  OTEL_METRICS_EXPORTER: { ...list, default: ["otlp"], values: ["otlp", "prometheus", "memory", "none"] },
+  OTEL_EXPORTER_OTLP_PROTOCOL: { type: "enum", default: "grpc", values: ["grpc", "http/protobuf", "http/json"] },
+  // Defaults to the collector's port for the protocol
+  OTEL_EXPORTER_OTLP_ENDPOINT: { type: "string", default: "" },
+  OTEL_EXPORTER_OTLP_METRICS_ENDPOINT: { type: "string", default: "" },
+  OTEL_EXPORTER_OTLP_TRACES_ENDPOINT: { type: "string", default: "" },
+  OTEL_EXPORTER_OTLP_HEADERS: { type: "string", default: "" },
+  OTEL_EXPORTER_OTLP_COMPRESSION: { type: "enum", default: "none", values: ["gzip", "none"] },
+  // Delta for counters and histograms (lowmemory: synchronous ones only)
+  OTEL_EXPORTER_OTLP_METRICS_TEMPORALITY_PREFERENCE: {
+    type: "enum",
+    default: "cumulative",
+    values: ["cumulative", "delta", "lowmemory"],
+    lowercase: true,
+  },
+  OTEL_EXPORTER_OTLP_CERTIFICATE: { type: "string", default: "" },
+  OTEL_EXPORTER_OTLP_CLIENT_KEY: { type: "string", default: "" },
+  OTEL_EXPORTER_OTLP_CLIENT_CERTIFICATE: { type: "string", default: "" },
+  EXPORT_INTERVAL: { type: "integer", default: 10000, min: 1 },
+  // Failed OTLP metric batches are kept here, up to EXPORT_SPOOL_MAX_BYTES (0 = don't spool), and
+  // retried with backoff from EXPORT_INTERVAL up to EXPORT_RETRY_MAX_DELAY
+  EXPORT_SPOOL_DIR: { type: "string", default: "./data/spool" },
+  EXPORT_SPOOL_MAX_BYTES: { type: "integer", default: 52428800, min: 0, reload: true },
+  EXPORT_RETRY_MAX_DELAY: { type: "integer", default: 300000, min: 1, reload: true },
+  PROMETHEUS_HOST: { type: "string", default: "0.0.0.0" },
+  PROMETHEUS_PORT: { type: "integer", default: 9464, min: 0 },
+  // Tracing is off unless OTEL_TRACES_EXPORTER=otlp; spans go to the same collector by default
+  OTEL_TRACES_EXPORTER: { type: "enum", default: "none", values: ["otlp", "none"] },
+  TRACE_SESSION_IDLE: { type: "integer", default: 600000, min: 1, reload: true }, // End session spans after 10m idle
+  POLL_INTERVAL: { type: "integer", default: 30000, min: 1, reload: true }, // Poll every 30s for Anthropic sessions
+  // Requests to each OpenCode server: at most POLL_CONCURRENCY in flight, POLL_RATE_LIMIT per second (0 = unlimited)
+  POLL_CONCURRENCY: { type: "integer", default: 4, min: 1, reload: true },
+  POLL_RATE_LIMIT: { type: "number", default: 20, min: 0, reload: true },
+  // Reconnect the event stream when nothing (not even a heartbeat) arrives for this long (0 = never)
+  SSE_IDLE_TIMEOUT: { type: "integer", default: 120000, min: 0, reload: true },
+  // Longest wait between reconnect attempts; the backoff doubles from 2s up to this
+  MAX_RECONNECT_DELAY: { type: "integer", default: 30000, min: 1000, reload: true },
+  // Health/readiness endpoint for Docker and Kubernetes probes (0 = disabled)
+  HEALTH_PORT: { type: "integer", default: 9465, min: 0 },
+  // A session with no activity for this long counts as idle rather than active
+  SESSION_IDLE_TIMEOUT: { type: "integer", default: 900000, min: 1, reload: true },
+  // Optional per-project / per-session labels on token, message, cost and tool counters
+  LABEL_PROJECT: { type: "boolean", default: false, reload: true },
+  LABEL_SESSION: { type: "boolean", default: false, reload: true },
+  // Only the root_session_id roll-up, one series per top-level session rather than per subagent too
+  LABEL_ROOT_SESSION: { type: "boolean", default: false, reload: true },
+  MAX_PROJECTS: { type: "integer", default: 50, min: 0, reload: true },
+  MAX_SESSIONS: { type: "integer", default: 100, min: 0, reload: true },
+  // Distinct agent/mode names kept before new ones are reported as "other"
+  MAX_AGENTS: { type: "integer", default: 20, min: 0, reload: true },
+  PROJECT_ALLOW: { ...list, reload: true },
+  PROJECT_DENY: { ...list, reload: true },
+  // Histogram bucket boundaries in seconds
+  MESSAGE_DURATION_BUCKETS: { type: "buckets", default: [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300, 600] },
+  TOOL_DURATION_BUCKETS: { type: "buckets", default: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300] },
+  SESSION_DURATION_BUCKETS: { type: "buckets", default: [60, 300, 600, 1800, 3600, 7200, 14400, 28800, 86400] },
+  PRICING_FILE: { type: "string", default: "" },
+  // Optional JSON rules to normalize model/provider IDs and derive model_family/vendor
+  MODEL_RULES_FILE: { type: "string", default: "" },
+  MAX_UNKNOWN_MODELS: { type: "integer", default: 20, min: 0, reload: true },
+  // Optional JSON file with token/cost budget rules and the webhook to notify
+  BUDGET_FILE: { type: "string", default: "" },
+  // Logging: level, "text" or "json" (one object per line, for Loki and friends), and the most
+  // noisy per-message lines allowed per minute for each kind and target
+  LOG_LEVEL: {
+    type: "enum",
+    default: () => process.env.DEBUG ? "debug" : "info",
+    values: ["error", "warn", "info", "debug", "trace"],
+    reload: true,
+  },
+  LOG_FORMAT: { type: "enum", default: "text", values: ["text", "json"], reload: true },
+  LOG_RATE_LIMIT: { type: "integer", default: 60, min: 0, reload: true },
+  // Recent errors kept for the opencode.error.info gauge: how many, and for how long (ms)
+  MAX_ERRORS: { type: "integer", default: 100, min: 0, reload: true },
+  ERROR_RETENTION: { type: "integer", default: 86400000, min: 0, reload: true },
+  // Session titles, directories and error messages to hide from logs and info labels, by "hash" or "remove"
+  REDACT_FIELDS: { ...list, reload: true },
+  REDACT_MODE: { type: "enum", default: "hash", values: ["hash", "remove"], reload: true },
+  REDACT_SALT: { type: "string", default: "", reload: true },
+  // Optional JSON privacy policy: per attribute, drop / hash / basename / regex rewrite
+  PRIVACY_FILE: { type: "string", default: "", reload: true },
+  STATE_FILE: { type: "string", default: "./data/state.json" },
+  STATE_SAVE_INTERVAL: { type: "integer", default: 10000, min: 1, reload: true },
+  // Messages whose agent is remembered for their tool calls (see rememberMessageAgent)
+  MAX_MESSAGE_AGENTS: { type: "integer", default: 10000, min: 1, reload: true },
+  ARCHIVE_DIR: { type: "string", default: "" },
+  ARCHIVE_RETENTION_DAYS: { type: "integer", default: 30, min: 1, reload: true },
+  ARCHIVE_HOST: { type: "string", default: "0.0.0.0" },
+  ARCHIVE_PORT: { type: "integer", default: 9466, min: 0 },
+};
+
+// Convert one raw value (an environment string, or whatever YAML/JSON produced) to the
+// setting's type. Returns {value} or {error}.
+function parseSetting(spec, raw) {
+  const scalar = typeof raw === "string" || typeof raw === "number" || typeof raw === "boolean";
+  const items = () => Array.isArray(raw) ? raw : String(raw).split(",").map(s => s.trim()).filter(Boolean);
+  switch (spec.type) {
+    case "string":
+      return scalar ? { value: String(raw) } : { error: "must be a string" };
+    case "integer":
+    case "number": {
+      const value = typeof raw === "number" ? raw : typeof raw === "string" && raw.trim() !== "" ? Number(raw) : NaN;
+      if (!Number.isFinite(value) || (spec.type === "integer" && !Number.isInteger(value))) {
+        return { error: `must be ${spec.type === "integer" ? "an integer" : "a number"}` };
+      }
+      if (spec.min !== undefined && value < spec.min) return { error: `must be at least ${spec.min}` };
+      return { value };
+    }
+    case "boolean":
+      if (raw === true || raw === "true") return { value: true };
+      if (raw === false || raw === "false") return { value: false };
+      return { error: "must be true or false" };
+    case "enum": {
+      const value = spec.lowercase ? String(raw).trim().toLowerCase() : String(raw);
+      return spec.values.includes(value) ? { value } : { error: `must be one of ${spec.values.join(", ")}` };
+    }
+    case "list": {
+      if (!scalar && !Array.isArray(raw)) return { error: "must be a list or a comma-separated string" };
+      const value = items().map(String);
+      const unknown = spec.values && value.find(v => !spec.values.includes(v));
+      return unknown ? { error: `has unknown entry "${unknown}" (expected ${spec.values.join(", ")})` } : { value };
+    }
+    case "buckets": {
+      if (!scalar && !Array.isArray(raw)) return { error: "must be a list of numbers" };
+      const value = items().map(Number);
+      if (value.some(n => !Number.isFinite(n))) return { error: "must be a list of numbers" };
+      return { value: value.sort((a, b) => a - b) };
+    }
+  }
+}
+
+function readConfigFile() {
+  if (!CONFIG_FILE) return {};
+  const text = readFileSync(CONFIG_FILE, "utf8");
+  const data = [".yaml", ".yml"].includes(extname(CONFIG_FILE).toLowerCase()) ? YAML.parse(text) : JSON.parse(text);
+  if (data === null || data === undefined) return {}; // An empty YAML file
+  if (typeof data !== "object" || Array.isArray(data)) throw new Error("must contain a mapping of setting names to values");
+  return data;
+}
+
+// Defaults, then CONFIG_FILE, then the environment. Returns every setting's value, or every
+// problem found (a missing or unparseable file, unknown names, values of the wrong type).
+function resolveSettings() {
+  const errors = [];
+  let file = {};
+  try {
+    file = readConfigFile();
+  } catch (error) {
+    return { errors: [`${CONFIG_FILE}: ${error.message}`] };
+  }
+  for (const key of Object.keys(file)) {
+    if (!SETTINGS[key.toUpperCase()]) errors.push(`${CONFIG_FILE}: unknown setting "${key}"`);
+  }
+
+  const values = {};
+  for (const [name, spec] of Object.entries(SETTINGS)) {
+    let value = typeof spec.default === "function" ? spec.default() : spec.default;
+    const fileKey = Object.keys(file).find(key => key.toUpperCase() === name);
+    const sources = [
+      [fileKey && file[fileKey], `${CONFIG_FILE}: ${fileKey}`],
+      [process.env[name], name],
+    ];
+    for (const [raw, where] of sources) {
+      if (raw === undefined || raw === null || raw === "") continue;
+      const result = parseSetting(spec, raw);
+      if (result.error) errors.push(`${where} ${result.error}, got ${JSON.stringify(raw)}`);
+      else value = result.value;
+    }
+    values[name] = value;
+  }
+  return errors.length > 0 ? { errors } : { values };
+}
+
+let settings = resolveSettings();
+if (settings.errors) {
+  console.error(`Invalid configuration:\n  ${settings.errors.join("\n  ")}`);
+  process.exit(1);
+}
+settings = settings.values;
+
+export const OPENCODE_URL = settings.OPENCODE_URL;
+export const OPENCODE_USERNAME = settings.OPENCODE_USERNAME;
+export const OPENCODE_PASSWORD = settings.OPENCODE_PASSWORD;
+export const OPENCODE_TOKEN = settings.OPENCODE_TOKEN;
+export const OPENCODE_HEADERS = settings.OPENCODE_HEADERS;
+export const OPENCODE_CA_FILE = settings.OPENCODE_CA_FILE;
+export const TARGETS_FILE = settings.TARGETS_FILE;
+export const INSTANCE_ID = settings.INSTANCE_ID;
+export const METRICS_EXPORTERS = settings.OTEL_METRICS_EXPORTER;
+export const OTLP_PROTOCOL = settings.OTEL_EXPORTER_OTLP_PROTOCOL;
+const OTEL_ENDPOINT = settings.OTEL_EXPORTER_OTLP_ENDPOINT ||
+  (OTLP_PROTOCOL === "grpc" ? "http://otel-collector:4317" : "http://otel-collector:4318");
+export const OTEL_METRICS_ENDPOINT = settings.OTEL_EXPORTER_OTLP_METRICS_ENDPOINT || otlpSignalUrl(OTEL_ENDPOINT, "metrics");
+export const OTEL_TRACES_ENDPOINT = settings.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || otlpSignalUrl(OTEL_ENDPOINT, "traces");
+export const OTLP_HEADERS = settings.OTEL_EXPORTER_OTLP_HEADERS;
+export const OTLP_COMPRESSION = settings.OTEL_EXPORTER_OTLP_COMPRESSION;
+export const OTLP_TEMPORALITY = settings.OTEL_EXPORTER_OTLP_METRICS_TEMPORALITY_PREFERENCE;
+export const OTLP_CERTIFICATE = settings.OTEL_EXPORTER_OTLP_CERTIFICATE;
+export const OTLP_CLIENT_KEY = settings.OTEL_EXPORTER_OTLP_CLIENT_KEY;
+export const OTLP_CLIENT_CERTIFICATE = settings.OTEL_EXPORTER_OTLP_CLIENT_CERTIFICATE;
+export const EXPORT_INTERVAL = settings.EXPORT_INTERVAL;
+export const EXPORT_SPOOL_DIR = settings.EXPORT_SPOOL_DIR;
+export const PROMETHEUS_HOST = settings.PROMETHEUS_HOST;
+export const PROMETHEUS_PORT = settings.PROMETHEUS_PORT;
+export const TRACES_ENABLED = settings.OTEL_TRACES_EXPORTER === "otlp";
+export const HEALTH_PORT = settings.HEALTH_PORT;
+export const MESSAGE_DURATION_BUCKETS = settings.MESSAGE_DURATION_BUCKETS;
+export const TOOL_DURATION_BUCKETS = settings.TOOL_DURATION_BUCKETS;
+export const SESSION_DURATION_BUCKETS = settings.SESSION_DURATION_BUCKETS;
+export const PRICING_FILE = settings.PRICING_FILE;
+export const MODEL_RULES_FILE = settings.MODEL_RULES_FILE;
+export const BUDGET_FILE = settings.BUDGET_FILE;
+export const STATE_FILE = settings.STATE_FILE;
+export const ARCHIVE_DIR = settings.ARCHIVE_DIR;
+export const ARCHIVE_HOST = settings.ARCHIVE_HOST;
+export const ARCHIVE_PORT = settings.ARCHIVE_PORT;
+
+// Reloadable - always read these at the point of use rather than copying them at startup
+export let EXPORT_SPOOL_MAX_BYTES, EXPORT_RETRY_MAX_DELAY;
+export let TRACE_SESSION_IDLE, POLL_INTERVAL, POLL_CONCURRENCY, POLL_RATE_LIMIT, SSE_IDLE_TIMEOUT, MAX_RECONNECT_DELAY;
+export let SESSION_IDLE_TIMEOUT, LABEL_PROJECT, LABEL_SESSION, LABEL_ROOT_SESSION, MAX_PROJECTS, MAX_SESSIONS, MAX_AGENTS;
+export let PROJECT_ALLOW, PROJECT_DENY, MAX_UNKNOWN_MODELS, LOG_LEVEL, LOG_FORMAT, LOG_RATE_LIMIT;
+export let MAX_ERRORS, ERROR_RETENTION, STATE_SAVE_INTERVAL, MAX_MESSAGE_AGENTS, ARCHIVE_RETENTION_DAYS;
+export let REDACT_FIELDS, REDACT_MODE, REDACT_SALT, PRIVACY_FILE;
+
+function applyReloadable(s) {
+  EXPORT_SPOOL_MAX_BYTES = s.EXPORT_SPOOL_MAX_BYTES;
+  EXPORT_RETRY_MAX_DELAY = s.EXPORT_RETRY_MAX_DELAY;
+  TRACE_SESSION_IDLE = s.TRACE_SESSION_IDLE;
+  POLL_INTERVAL = s.POLL_INTERVAL;
+  POLL_CONCURRENCY = s.POLL_CONCURRENCY;
+  POLL_RATE_LIMIT = s.POLL_RATE_LIMIT;
+  SSE_IDLE_TIMEOUT = s.SSE_IDLE_TIMEOUT;
+  MAX_RECONNECT_DELAY = s.MAX_RECONNECT_DELAY;
+  SESSION_IDLE_TIMEOUT = s.SESSION_IDLE_TIMEOUT;
+  LABEL_PROJECT = s.LABEL_PROJECT;
+  LABEL_SESSION = s.LABEL_SESSION;
+  LABEL_ROOT_SESSION = s.LABEL_ROOT_SESSION;
+  MAX_PROJECTS = s.MAX_PROJECTS;
+  MAX_SESSIONS = s.MAX_SESSIONS;
+  MAX_AGENTS = s.MAX_AGENTS;
+  PROJECT_ALLOW = s.PROJECT_ALLOW;
+  PROJECT_DENY = s.PROJECT_DENY;
+  MAX_UNKNOWN_MODELS = s.MAX_UNKNOWN_MODELS;
+  LOG_LEVEL = s.LOG_LEVEL;
+  LOG_FORMAT = s.LOG_FORMAT;
+  LOG_RATE_LIMIT = s.LOG_RATE_LIMIT;
+  MAX_ERRORS = s.MAX_ERRORS;
+  ERROR_RETENTION = s.ERROR_RETENTION;
+  STATE_SAVE_INTERVAL = s.STATE_SAVE_INTERVAL;
+  MAX_MESSAGE_AGENTS = s.MAX_MESSAGE_AGENTS;
+  ARCHIVE_RETENTION_DAYS = s.ARCHIVE_RETENTION_DAYS;
+  REDACT_FIELDS = s.REDACT_FIELDS;
+  REDACT_MODE = s.REDACT_MODE;
+  REDACT_SALT = s.REDACT_SALT;
+  PRIVACY_FILE = s.PRIVACY_FILE;
+}
+applyReloadable(settings);
+
+// Restart-only values already returned in `restart`, so a pending change is reported once
+const pendingRestart = {};
+
+// Re-read CONFIG_FILE and the environment. Reloadable settings take effect at once and are
+// returned in `changed`; new changes to the others are returned in `restart` and ignored until the
+// next start. An invalid configuration throws with every problem and leaves the current one in place.
+export function reloadConfig() {
+  const next = resolveSettings();
+  if (next.errors) throw new Error(`Invalid configuration:\n  ${next.errors.join("\n  ")}`);
+
+  const changed = [];
+  const restart = [];
+  for (const [name, spec] of Object.entries(SETTINGS)) {
+    const value = JSON.stringify(next.values[name]);
+    if (value === JSON.stringify(settings[name])) {
+      delete pendingRestart[name];
+      continue;
+    }
+    if (spec.reload) {
+      changed.push(name);
+      settings[name] = next.values[name];
+    } else if (pendingRestart[name] !== value) {
+      pendingRestart[name] = value;
+      restart.push(name);
+    }
+  }
+  applyReloadable(settings);
+  return { changed, restart };
+}
+
+// gRPC takes the bare endpoint; OTLP/HTTP posts to a per-signal path under it
+function otlpSignalUrl(endpoint, signal) {
+  if (OTLP_PROTOCOL === "grpc") return endpoint;
+  return `${endpoint.replace(/\/+$/, "")}/v1/${signal}`;
+}
@@ -0,0 +1,115 @@
+import { MAX_ERRORS, MAX_RECONNECT_DELAY } from "./config.js";
+import { log, logError } from "./log.js";
+import { errorCounter, sessionCounter, sseReconnectCounter } from "./telemetry.js";
+import { recentErrors } from "./targets.js";
+import { saveCheckpoints, touchSession } from "./checkpoints.js";
+import { trackSession } from "./sessions.js";
+import { fetchJson } from "./client.js";
+import { listenForEvents } from "./stream.js";
+import { backfillHistory, pollSessions, startPolling, stopPolling } from "./polling.js";
+
+// Connection loop for one target: health check, catch-up, polling and the event stream,
+// with backoff and reconnects until disconnect()
+export async function connectAndListen(target) {
+  try {
+    log(target, `Connecting to OpenCode at ${target.url}...`);
+    
+    // Check health first
+    const health = await fetchJson(target, "/global/health");
+    if (health.healthy) {
+      log(target, `Connected to OpenCode v${health.version}`);
+      target.reconnectAttempts = 0;
+      target.isServiceRunning = 1; // Service is running and healthy
+    } else {
+      throw new Error("OpenCode server not healthy");
+    }
+
+    const source = { source: target.instance };
+
+    // Reset session metadata on reconnect; the session list below repopulates it
+    target.sessionMetadata.clear();
+
+    // Get initial session list and backfill historical metrics
+    const sessions = await fetchJson(target, "/session");
+    if (Array.isArray(sessions)) {
+      log(target, `Found ${sessions.length} existing sessions`);
+      
+      // Track sessions for the active/idle counts
+      let newSessions = 0;
+      sessions.forEach(s => {
+        trackSession(target, s);
+        target.sessionMetadata.set(s.id, {
+          slug: s.slug || "",
+          title: s.title || "",
+          directory: s.directory || "",
+          parentId: s.parentID || "",
+        });
+        if (touchSession(target, s.id)) newSessions++;
+      });
+      
+      // Count sessions the checkpoint hasn't seen before
+      if (newSessions > 0) {
+        sessionCounter.add(newSessions, source);
+      }
+      
+      if (target.hasCheckpoint) {
+        // We have a checkpoint, so history was already counted by a previous run.
+        // Let the poller pick up whatever happened since, with real model labels.
+        log(target, "Checkpoint found, catching up on messages since last run...");
+        await pollSessions(target);
+      } else {
+        await backfillHistory(target, sessions);
+        target.hasCheckpoint = true;
+      }
+      saveCheckpoints();
+    }
+
+    if (target.stopped) return;
+    
+    // Start periodic polling for Anthropic sessions (SSE doesn't broadcast these)
+    startPolling(target);
+
+    // Subscribe to SSE events, resuming after the last event we saw if the server supports it
+    log(target, "Subscribing to events...");
+    await listenForEvents(target);
+    
+    // Clean end of stream - reconnect after the server's suggested delay
+    stopPolling(target);
+    if (target.stopped) return;
+    log(target, `Event stream ended, reconnecting in ${target.retryDelay}ms...`);
+    sseReconnectCounter.add(1, { reason: "ended", source: target.instance });
+    target.reconnectTimer = setTimeout(() => connectAndListen(target), target.retryDelay);
+  } catch (error) {
+    if (target.stopped) return;
+    logError(target, `Connection error: ${error.message}`);
+    errorCounter.add(1, { type: "connection", source: target.instance });
+    target.isServiceRunning = 0; // Service is not running or not reachable
+    stopPolling(target); // Stop polling on connection error, will restart on reconnect
+    
+    // Store connection error details for table view
+    recentErrors.push({
+      timestamp: Date.now(),
+      type: "connection",
+      message: error.message,
+      instance: target.instance,
+    });
+    while (recentErrors.length > MAX_ERRORS) {
+      recentErrors.shift();
+    }
+    
+    // Exponential backoff reconnect
+    sseReconnectCounter.add(1, { reason: error.reason || "error", source: target.instance });
+    target.reconnectAttempts++;
+    const delay = Math.min(1000 * Math.pow(2, target.reconnectAttempts), MAX_RECONNECT_DELAY);
+    log(target, `Reconnecting in ${delay}ms (attempt ${target.reconnectAttempts})...`);
+    target.reconnectTimer = setTimeout(() => connectAndListen(target), delay);
+  }
+}
+
+// Stop a target for good: no more polling, event stream or reconnects
+export function disconnect(target) {
+  target.stopped = true;
+  stopPolling(target);
+  clearTimeout(target.reconnectTimer);
+  target.streamController?.abort();
+}
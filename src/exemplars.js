@@ -0,0 +1,99 @@
+import { millisToHrTime } from "@opentelemetry/core";
+import { ValueType } from "@opentelemetry/api";
+import { createExportMetricsServiceRequest, getOtlpEncoder } from "@opentelemetry/otlp-transformer";
+import root from "@opentelemetry/otlp-transformer/build/src/generated/root.js";
+
+// Exemplars for live OTLP metrics - the SDK doesn't record them and its OTLP serializers drop
+// them, so the last measurement of each series is kept here with the session and message behind
+// it (and the message span, when tracing is on). At export they are attached to the matching data
+// points and encoded by exemplarSerializer. Only opencode.message.count and opencode.token.usage
+// pass an exemplar; Prometheus output carries none.
+const latest = new Map(); // metric name -> series key -> exemplar
+let recording = false;
+
+const seriesKey = (attributes) => JSON.stringify(Object.entries(attributes || {}).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+
+// Called by withPrivacy with the attributes and exemplar labels after the privacy policy
+export function recordExemplar(name, attributes, value, exemplar) {
+  if (!recording) return;
+  const labels = Object.fromEntries(Object.entries(exemplar.labels || {}).filter(([, v]) => v !== undefined && v !== ""));
+  if (Object.keys(labels).length === 0) return;
+  if (!latest.has(name)) latest.set(name, new Map());
+  latest.get(name).set(seriesKey(attributes), {
+    labels,
+    value,
+    time: millisToHrTime(Date.now()),
+    spanContext: exemplar.spanContext,
+  });
+}
+
+// Wrap a push exporter so each data point measured since the last export carries its exemplar
+export function withExemplars(exporter) {
+  recording = true;
+  return {
+    export(metrics, resultCallback) {
+      for (const scope of metrics.scopeMetrics) {
+        for (const metric of scope.metrics) {
+          const series = latest.get(metric.descriptor.name);
+          if (!series) continue;
+          for (const dataPoint of metric.dataPoints) {
+            const key = seriesKey(dataPoint.attributes);
+            const exemplar = series.get(key);
+            dataPoint.exemplars = exemplar ? [exemplar] : undefined;
+            series.delete(key);
+          }
+        }
+      }
+      exporter.export(metrics, resultCallback);
+    },
+    forceFlush: () => exporter.forceFlush(),
+    shutdown: () => exporter.shutdown(),
+    selectAggregationTemporality: (instrumentType) => exporter.selectAggregationTemporality(instrumentType),
+    selectAggregation: (instrumentType) => exporter.selectAggregation(instrumentType),
+  };
+}
+
+function toOtlpExemplar(exemplar, pointAttributes, valueType, encoder) {
+  const out = {
+    // Labels already on the data point would only repeat it
+    filteredAttributes: Object.entries(exemplar.labels)
+      .filter(([key]) => !(key in (pointAttributes || {})))
+      .map(([key, value]) => ({ key, value: { stringValue: String(value) } })),
+    timeUnixNano: encoder.encodeHrTime(exemplar.time),
+  };
+  if (valueType === ValueType.INT) out.asInt = exemplar.value;
+  else out.asDouble = exemplar.value;
+  if (exemplar.spanContext) {
+    out.traceId = encoder.encodeSpanContext(exemplar.spanContext.traceId);
+    out.spanId = encoder.encodeSpanContext(exemplar.spanContext.spanId);
+  }
+  return out;
+}
+
+// The SDK's metrics serializer for the protocol, with each data point's exemplars added back.
+// The request keeps the SDK's order of resources, scopes, metrics and points.
+export function exemplarSerializer(protocol, serializer) {
+  const json = protocol === "http/json";
+  const options = json ? { useHex: true, useLongBits: false } : undefined;
+  const encoder = getOtlpEncoder(options);
+  const requestType = root.opentelemetry.proto.collector.metrics.v1.ExportMetricsServiceRequest;
+
+  return {
+    serializeRequest(resourceMetrics) {
+      const request = createExportMetricsServiceRequest(resourceMetrics, options);
+      resourceMetrics.forEach((resource, r) => resource.scopeMetrics.forEach((scope, s) => scope.metrics.forEach((metric, m) => {
+        const out = request.resourceMetrics[r].scopeMetrics[s].metrics[m];
+        const points = (out.sum || out.gauge)?.dataPoints;
+        if (!points) return;
+        metric.dataPoints.forEach((dataPoint, p) => {
+          if (!dataPoint.exemplars?.length) return;
+          points[p].exemplars = dataPoint.exemplars.map(exemplar =>
+            toOtlpExemplar(exemplar, dataPoint.attributes, metric.descriptor.valueType, encoder));
+        });
+      })));
+      if (json) return new TextEncoder().encode(JSON.stringify(request));
+      return requestType.encode(request).finish();
+    },
+    deserializeResponse: (data) => serializer.deserializeResponse(data),
+  };
+}
@@ -0,0 +1,66 @@
+import { createServer } from "http";
+import { HEALTH_PORT, METRICS_EXPORTERS, POLL_INTERVAL } from "./config.js";
+import { writeLog } from "./log.js";
+import { exportStatus } from "./telemetry.js";
+import { spoolStatus } from "./spool.js";
+import { targets } from "./targets.js";
+
+// Health and readiness probes.
+// /readyz: at least one OpenCode event stream is connected, and no target has been unreachable
+// for longer than three poll intervals. An OpenCode outage shows up here only.
+// /healthz: fails only when restarting would help - a connected target whose poller has
+// stopped completing cycles, which means the exporter is wedged.
+function healthReport() {
+  const now = Date.now();
+  const iso = (ms) => ms ? new Date(ms).toISOString() : null;
+  const stalePoll = POLL_INTERVAL * 3;
+  
+  const targetReports = targets.map(target => {
+    const pollAge = now - Math.max(target.lastPollSuccess, target.connectedAt);
+    return {
+      source: target.instance,
+      url: target.url,
+      sse_connected: target.sseConnected,
+      disconnected_since: target.sseConnected ? null : iso(target.disconnectedAt),
+      last_event: iso(target.lastEventAt),
+      last_successful_poll: iso(target.lastPollSuccess),
+      reconnect_attempts: target.reconnectAttempts,
+      processed_messages: target.processedMessages.size,
+      unreachable: !target.sseConnected && now - target.disconnectedAt > stalePoll,
+      wedged: target.sseConnected && pollAge > stalePoll,
+    };
+  });
+  
+  return {
+    healthy: !targetReports.some(t => t.wedged),
+    ready: targetReports.some(t => t.sse_connected) && !targetReports.some(t => t.unreachable),
+    otlp: METRICS_EXPORTERS.includes("otlp") ? {
+      last_successful_export: iso(exportStatus.lastSuccess),
+      last_failed_export: iso(exportStatus.lastFailure),
+      last_error: exportStatus.lastError || null,
+      spooled_batches: spoolStatus.batches,
+      spooled_bytes: spoolStatus.bytes,
+    } : null,
+    targets: targetReports,
+  };
+}
+
+export function startHealthServer() {
+  const server = createServer((req, res) => {
+    const path = new URL(req.url, "http://localhost").pathname;
+    if (path !== "/healthz" && path !== "/readyz") {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Not found\n");
+      return;
+    }
+    const report = healthReport();
+    const ok = path === "/healthz" ? report.healthy : report.ready;
+    res.writeHead(ok ? 200 : 503, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(report, null, 2) + "\n");
+  });
+  server.on("error", (error) => {
+    writeLog("error", `Health server error: ${error.message}`);
+  });
+  server.listen(HEALTH_PORT);
+  return server;
+}
@@ -0,0 +1,119 @@
+import {
+  LABEL_PROJECT,
+  LABEL_ROOT_SESSION,
+  LABEL_SESSION,
+  MAX_AGENTS,
+  MAX_MESSAGE_AGENTS,
+  MAX_PROJECTS,
+  MAX_SESSIONS,
+  PROJECT_ALLOW,
+  PROJECT_DENY,
+} from "./config.js";
+
+// Cardinality controls for project/session labels. Every distinct label value becomes
+// a series the SDK keeps forever, so once a limit is hit new values go into "other".
+const OTHER_LABEL = "other";
+const seenProjects = new Set();
+const seenSessionLabels = new Set();
+const seenAgents = new Set();
+const seenModes = new Set();
+
+// Minimal glob support: "**" matches anything, "*" anything but "/", "?" one character
+function globToRegExp(glob) {
+  let pattern = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*" && glob[i + 1] === "*") {
+      pattern += ".*";
+      i++;
+    } else if (c === "*") {
+      pattern += "[^/]*";
+    } else if (c === "?") {
+      pattern += "[^/]";
+    } else {
+      pattern += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+// Compiled once per pattern list; a config reload brings new lists
+const compiledPatterns = new WeakMap();
+function projectPatterns(globs) {
+  if (!compiledPatterns.has(globs)) compiledPatterns.set(globs, globs.map(globToRegExp));
+  return compiledPatterns.get(globs);
+}
+
+export function limitLabel(seen, value, max) {
+  if (seen.has(value)) return value;
+  if (seen.size >= max) return OTHER_LABEL;
+  seen.add(value);
+  return value;
+}
+
+// Project label derived from the session directory (its last path segment)
+function projectLabel(directory) {
+  if (!directory) return "unknown";
+  const allow = projectPatterns(PROJECT_ALLOW);
+  if (projectPatterns(PROJECT_DENY).some(re => re.test(directory))) return OTHER_LABEL;
+  if (allow.length > 0 && !allow.some(re => re.test(directory))) return OTHER_LABEL;
+  const name = directory.replace(/[\\/]+$/, "").split(/[\\/]/).pop() || directory;
+  return limitLabel(seenProjects, name, MAX_PROJECTS);
+}
+
+// Topmost session above a subagent session (OpenCode links a task's child session to the
+// session that started it via parentID). Unknown parents still count as the root.
+export function rootSessionId(target, sessionId) {
+  const seen = new Set();
+  let id = sessionId;
+  while (id && !seen.has(id)) {
+    seen.add(id);
+    const parentId = target.sessionMetadata.get(id)?.parentId;
+    if (!parentId) break;
+    id = parentId;
+  }
+  return id;
+}
+
+// Attributes shared by token/message/cost/tool counters: the source target, plus
+// project and session when enabled. Subagent sessions also carry their root session,
+// so a parent's totals can include its children; LABEL_ROOT_SESSION adds only that.
+export function scopeAttributes(target, sessionId) {
+  const attrs = { source: target.instance };
+  if (LABEL_PROJECT) {
+    const directory = target.sessionMetadata.get(sessionId)?.directory ||
+      target.sessionMetadata.get(rootSessionId(target, sessionId))?.directory;
+    attrs.project = projectLabel(directory);
+  }
+  const label = (id) => id ? limitLabel(seenSessionLabels, id, MAX_SESSIONS) : "unknown";
+  if (LABEL_SESSION) attrs.session_id = label(sessionId);
+  if (LABEL_SESSION || LABEL_ROOT_SESSION) attrs.root_session_id = label(rootSessionId(target, sessionId));
+  return attrs;
+}
+
+// Agent and mode of an assistant message: a primary agent (build, plan) or the subagent a
+// task ran. Older OpenCode versions only send mode, newer ones both.
+export function messageAgent(info) {
+  return { agent: info?.agent || info?.mode || "unknown", mode: info?.mode || info?.agent || "unknown" };
+}
+
+// Agent and mode labels, each capped at MAX_AGENTS values
+export function agentAttributes({ agent, mode }) {
+  return { agent: limitLabel(seenAgents, agent, MAX_AGENTS), mode: limitLabel(seenModes, mode, MAX_AGENTS) };
+}
+
+// Tool parts don't say which agent ran them, so remember it from their message.
+// Oldest entries go first once MAX_MESSAGE_AGENTS messages are held.
+
+export function rememberMessageAgent(target, info) {
+  if (info?.role !== "assistant" || !info.id) return;
+  target.messageAgents.delete(info.id);
+  target.messageAgents.set(info.id, messageAgent(info));
+  while (target.messageAgents.size > MAX_MESSAGE_AGENTS) {
+    target.messageAgents.delete(target.messageAgents.keys().next().value);
+  }
+}
+
+export function toolAgent(target, part) {
+  return target.messageAgents.get(part.messageID) || messageAgent(null);
+}
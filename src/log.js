@@ -0,0 +1,64 @@
+import { LOG_FORMAT, LOG_LEVEL, LOG_RATE_LIMIT } from "./config.js";
+
+// Logging - every line goes through writeLog so level filtering, JSON output and
+// redaction apply everywhere. Text output keeps the familiar "[source] message" form.
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3, trace: 4 };
+
+// LOG_LEVEL and LOG_FORMAT are read on every line so a config reload applies at once
+export const logEnabled = (level) => LOG_LEVELS[level] <= LOG_LEVELS[LOG_LEVEL];
+
+export function writeLog(level, message, fields = {}) {
+  if (!logEnabled(level)) return;
+  const stream = LOG_LEVELS[level] <= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  if (LOG_FORMAT === "json") {
+    stream.write(JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...fields }) + "\n");
+  } else {
+    stream.write(`${fields.source ? `[${fields.source}] ` : ""}${message}\n`);
+  }
+}
+
+// Fixed one-minute windows per key; the count of dropped lines is reported when the window rolls over
+const logRates = new Map();
+
+function rateLimitLog(key, fields) {
+  if (LOG_RATE_LIMIT <= 0) return true;
+  const now = Date.now();
+  let rate = logRates.get(key);
+  if (!rate || now - rate.windowStart >= 60000) {
+    if (rate?.suppressed > 0) {
+      writeLog("info", `Suppressed ${rate.suppressed} "${key}" log lines in the last minute`, { ...fields, suppressed: rate.suppressed });
+    }
+    rate = { windowStart: now, count: 0, suppressed: 0 };
+    logRates.set(key, rate);
+  }
+  if (rate.count < LOG_RATE_LIMIT) {
+    rate.count++;
+    return true;
+  }
+  rate.suppressed++;
+  return false;
+}
+
+export function log(target, message, fields) {
+  writeLog("info", message, { source: target.instance, ...fields });
+}
+
+export function logWarn(target, message, fields) {
+  writeLog("warn", message, { source: target.instance, ...fields });
+}
+
+export function logError(target, message, fields) {
+  writeLog("error", message, { source: target.instance, ...fields });
+}
+
+export function logDebug(target, message, fields) {
+  writeLog("debug", message, { source: target.instance, ...fields });
+}
+
+// Per-message lines (tokens, tool calls) - rate-limited per kind and target
+export function logNoisy(target, kind, message, fields) {
+  const context = { source: target.instance, ...fields };
+  if (rateLimitLog(`${target.instance}:${kind}`, { source: target.instance })) {
+    writeLog("info", message, context);
+  }
+}
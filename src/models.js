@@ -0,0 +1,73 @@
+import { readFileSync } from "fs";
+import { MAX_UNKNOWN_MODELS, MODEL_RULES_FILE } from "./config.js";
+import { writeLog } from "./log.js";
+import { limitLabel } from "./labels.js";
+
+// Model normalization - OpenCode's modelID/providerID go through rewrite rules and aliases so
+// one model doesn't split into several series (dated snapshots, router prefixes), then get a
+// model_family and vendor. Models no family rule recognises are capped at MAX_UNKNOWN_MODELS.
+// e.g. {"rewrite": [{"pattern": "-\\d{8}$", "replace": ""}], "aliases": {"sonnet": "claude-sonnet-4"},
+//       "providers": {"amazon-bedrock": "bedrock"}, "families": [{"pattern": "...", "family": "$1", "vendor": "..."}]}
+const DEFAULT_MODEL_FAMILIES = [
+  { pattern: "claude-(?:[\\d.-]+-)?(opus|sonnet|haiku)", family: "claude-$1", vendor: "anthropic" },
+  { pattern: "(gpt-[\\d.]+o?)", family: "$1", vendor: "openai" },
+  { pattern: "(?:^|/)(o[1-9])(?:-|$)", family: "$1", vendor: "openai" },
+  { pattern: "(gemini-[\\d.]+)", family: "$1", vendor: "google" },
+  { pattern: "(llama)", family: "$1", vendor: "meta" },
+  { pattern: "(mistral|codestral|devstral|magistral)", family: "$1", vendor: "mistral" },
+  { pattern: "(deepseek)", family: "$1", vendor: "deepseek" },
+  { pattern: "(qwen)", family: "$1", vendor: "alibaba" },
+  { pattern: "(grok)", family: "$1", vendor: "xai" },
+  { pattern: "(kimi)", family: "$1", vendor: "moonshot" },
+  { pattern: "(glm)", family: "$1", vendor: "zhipu" },
+];
+
+let modelRules = compileModelRules({});
+const seenUnknownModels = new Set();
+
+function compileModelRules(config) {
+  const regex = (pattern) => new RegExp(pattern, "i");
+  return {
+    rewrite: (config.rewrite || []).map(r => ({ regex: new RegExp(r.pattern, r.flags ?? "gi"), replace: r.replace ?? "" })),
+    aliases: config.aliases || {},
+    providers: config.providers || {},
+    families: [...(config.families || []), ...DEFAULT_MODEL_FAMILIES].map(f => ({ ...f, regex: regex(f.pattern) })),
+  };
+}
+
+export function loadModelRules() {
+  if (!MODEL_RULES_FILE) return;
+  try {
+    modelRules = compileModelRules(JSON.parse(readFileSync(MODEL_RULES_FILE, "utf8")));
+    writeLog("info", `Loaded model rules: ${modelRules.rewrite.length} rewrites, ${Object.keys(modelRules.aliases).length} aliases`);
+  } catch (error) {
+    writeLog("error", `Failed to load model rules file ${MODEL_RULES_FILE}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Returns {model, provider, model_family, vendor}
+export function normalizeModel(modelID, providerID) {
+  const provider = modelRules.providers[providerID] || providerID || "unknown";
+  let model = modelID || "unknown";
+  for (const { regex, replace } of modelRules.rewrite) {
+    model = model.replace(regex, replace);
+  }
+  model = modelRules.aliases[model] || model;
+  
+  for (const rule of modelRules.families) {
+    const match = model.match(rule.regex);
+    if (!match) continue;
+    const family = rule.family.replace(/\$(\d)/g, (_, i) => (match[i] || "").toLowerCase());
+    return { model, provider, model_family: family, vendor: rule.vendor || "unknown" };
+  }
+  
+  // Aliased models are known by definition; anything else counts against the cap
+  const known = Object.values(modelRules.aliases).includes(model);
+  return {
+    model: known ? model : limitLabel(seenUnknownModels, model, MAX_UNKNOWN_MODELS),
+    provider,
+    model_family: "unknown",
+    vendor: "unknown",
+  };
+}
@@ -0,0 +1,108 @@
+import { OTLPMetricExporter as OTLPMetricExporterGrpc } from "@opentelemetry/exporter-metrics-otlp-grpc";
+import { AggregationTemporalityPreference, OTLPMetricExporter as OTLPMetricExporterHttp } from "@opentelemetry/exporter-metrics-otlp-http";
+import { OTLPMetricExporter as OTLPMetricExporterProto } from "@opentelemetry/exporter-metrics-otlp-proto";
+import { OTLPTraceExporter as OTLPTraceExporterGrpc } from "@opentelemetry/exporter-trace-otlp-grpc";
+import { OTLPTraceExporter as OTLPTraceExporterHttp } from "@opentelemetry/exporter-trace-otlp-http";
+import { OTLPTraceExporter as OTLPTraceExporterProto } from "@opentelemetry/exporter-trace-otlp-proto";
+import { credentials, Metadata } from "@grpc/grpc-js";
+import { readFileSync } from "fs";
+import {
+  OTEL_METRICS_ENDPOINT,
+  OTEL_TRACES_ENDPOINT,
+  OTLP_CERTIFICATE,
+  OTLP_CLIENT_CERTIFICATE,
+  OTLP_CLIENT_KEY,
+  OTLP_COMPRESSION,
+  OTLP_HEADERS,
+  OTLP_PROTOCOL,
+  OTLP_TEMPORALITY,
+} from "./config.js";
+import { exemplarSerializer } from "./exemplars.js";
+import { writeLog } from "./log.js";
+
+// Delta suits backends that store deltas natively (Datadog, Dynatrace): a restart or a backfill
+// burst is then just one larger data point instead of a counter reset or a spike
+const TEMPORALITY_PREFERENCES = {
+  cumulative: AggregationTemporalityPreference.CUMULATIVE,
+  delta: AggregationTemporalityPreference.DELTA,
+  lowmemory: AggregationTemporalityPreference.LOWMEMORY,
+};
+
+// Parse "key=value,key2=value2" header lists, as used by OTEL_EXPORTER_OTLP_HEADERS
+export function parseHeaderList(value) {
+  const headers = {};
+  for (const pair of value.split(",")) {
+    const i = pair.indexOf("=");
+    if (i <= 0) continue;
+    headers[decodeURIComponent(pair.slice(0, i).trim())] = decodeURIComponent(pair.slice(i + 1).trim());
+  }
+  return headers;
+}
+
+export function readPem(file, description) {
+  if (!file) return undefined;
+  try {
+    return readFileSync(file);
+  } catch (error) {
+    writeLog("error", `Failed to read ${description} ${file}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Exporter options shared by metrics and traces: headers, TLS and compression for the chosen transport
+function otlpExporterOptions(url) {
+  const headers = parseHeaderList(OTLP_HEADERS);
+  const ca = readPem(OTLP_CERTIFICATE, "OTLP CA certificate");
+  const key = readPem(OTLP_CLIENT_KEY, "OTLP client key");
+  const cert = readPem(OTLP_CLIENT_CERTIFICATE, "OTLP client certificate");
+  
+  if (OTLP_PROTOCOL === "grpc") {
+    const metadata = new Metadata();
+    for (const [name, value] of Object.entries(headers)) {
+      metadata.set(name, value);
+    }
+    const options = { url, metadata, compression: OTLP_COMPRESSION };
+    if (ca || key || cert || url.startsWith("https:")) {
+      options.credentials = credentials.createSsl(ca || null, key || null, cert || null);
+    }
+    return options;
+  }
+  
+  return { url, headers, compression: OTLP_COMPRESSION, httpAgentOptions: { ca, key, cert } };
+}
+
+// The SDK's serializers drop exemplars (see exemplars.js), so the metric exporter's is swapped
+// for one that keeps them. The transport and its serializer are private, which is why the metric
+// exporters and otlp-transformer are pinned to exact versions; returns false if the hook is gone.
+export function extendSerializer(exporter, protocol) {
+  const transport = exporter._otlpExporter;
+  if (!transport?._serializer) {
+    writeLog("warn", "OTLP metric exporter has no serializer to extend, exemplars are disabled");
+    return false;
+  }
+  transport._serializer = exemplarSerializer(protocol, transport._serializer);
+  return true;
+}
+
+export function createMetricExporter() {
+  const Exporter = {
+    grpc: OTLPMetricExporterGrpc,
+    "http/protobuf": OTLPMetricExporterProto,
+    "http/json": OTLPMetricExporterHttp,
+  }[OTLP_PROTOCOL];
+  const exporter = new Exporter({
+    ...otlpExporterOptions(OTEL_METRICS_ENDPOINT),
+    temporalityPreference: TEMPORALITY_PREFERENCES[OTLP_TEMPORALITY],
+  });
+  extendSerializer(exporter, OTLP_PROTOCOL);
+  return exporter;
+}
+
+export function createTraceExporter() {
+  const Exporter = {
+    grpc: OTLPTraceExporterGrpc,
+    "http/protobuf": OTLPTraceExporterProto,
+    "http/json": OTLPTraceExporterHttp,
+  }[OTLP_PROTOCOL];
+  return new Exporter(otlpExporterOptions(OTEL_TRACES_ENDPOINT));
+}
@@ -0,0 +1,236 @@
+import { POLL_INTERVAL } from "./config.js";
+import { log, logError } from "./log.js";
+import {
+  pollBytesCounter,
+  pollDurationHistogram,
+  pollFailureCounter,
+  pollSessionsCounter,
+  sessionCounter,
+} from "./telemetry.js";
+import { forgetSession, isUnchanged, markPolled, markProcessed, touchSession } from "./checkpoints.js";
+import { agentAttributes, messageAgent, rememberMessageAgent, scopeAttributes } from "./labels.js";
+import { countSessionMessage, endSession, totalTokens, trackSession } from "./sessions.js";
+import { processToolPart } from "./tools.js";
+import { normalizeModel } from "./models.js";
+import { messageCost } from "./pricing.js";
+import { recordBudgetUsage } from "./budgets.js";
+import { archiveMessage } from "./archive.js";
+import { fetchJson } from "./client.js";
+import { countMessage, emitHistorical } from "./processing.js";
+
+// One-time backfill of all existing sessions on first run (no checkpoint yet)
+// NOTE: Session activity counter is NOT backfilled intentionally - it only tracks
+// real-time activity so that time-range queries in Grafana are accurate
+export async function backfillHistory(target, sessions) {
+  log(target, "Backfilling historical metrics from existing sessions...");
+  let totalMessages = 0;
+  let totalTokens = 0;
+  let totalCost = 0;
+  let totalTools = 0;
+  const toolNames = new Set();
+  
+  for (const session of sessions) {
+    let messages;
+    try {
+      messages = await fetchJson(target, `/session/${session.id}/message`);
+    } catch (e) {
+      // Skip sessions we can't fetch messages for
+      continue;
+    }
+    if (!Array.isArray(messages)) continue;
+    
+    // Aggregate per session and agent so project/session/agent labels stay accurate
+    let inFlight = false;
+    const agentTotals = new Map(); // "agent\0mode" -> {agent: {agent, mode}, totals}
+    const totalsFor = (info) => {
+      const agent = messageAgent(info);
+      const key = `${agent.agent}\0${agent.mode}`;
+      if (!agentTotals.has(key)) {
+        agentTotals.set(key, { agent, totals: { messages: 0, tokens: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, reasoning: 0 }, cost: 0 } });
+      }
+      return agentTotals.get(key).totals;
+    };
+    
+    for (const msg of messages) {
+      if (!msg.info) continue;
+      rememberMessageAgent(target, msg.info);
+      
+      // Leave in-flight assistant messages for the live path to count once finished
+      if (msg.info.role === "assistant" && !msg.info.finish) {
+        inFlight = true;
+        continue;
+      }
+      
+      // Count messages
+      const msgKey = `${msg.info.id}-${msg.info.role}`;
+      if (!target.processedMessages.has(msgKey)) {
+        markProcessed(target, session.id, msgKey, msg.info.id);
+        const totals = totalsFor(msg.info);
+        totals.messages++;
+        
+        // Aggregate token usage
+        if (msg.info.tokens) {
+          const t = msg.info.tokens;
+          if (t.input) totals.tokens.input += t.input;
+          if (t.output) totals.tokens.output += t.output;
+          if (t.cache?.read) totals.tokens.cacheRead += t.cache.read;
+          if (t.cache?.write) totals.tokens.cacheWrite += t.cache.write;
+          if (t.reasoning) totals.tokens.reasoning += t.reasoning;
+          const cost = messageCost(msg.info, msg.info.modelID || "unknown", msg.info.providerID || "unknown");
+          totals.cost += cost;
+          recordBudgetUsage(target, msg.info, session.id, { live: false });
+          if (msg.info.role === "assistant") {
+            countSessionMessage(target, session.id, msg.info);
+            const { model, provider } = normalizeModel(msg.info.modelID, msg.info.providerID);
+            archiveMessage(target, msg.info, session.id, model, provider, cost);
+          }
+        }
+      }
+      
+      // Count finished tool calls from parts
+      for (const part of msg.parts || []) {
+        if (processToolPart(target, part, session.id, { live: false })) {
+          toolNames.add(part.tool || "unknown");
+          totalTools++;
+        }
+      }
+    }
+    
+    const scope = scopeAttributes(target, session.id);
+    for (const { agent, totals } of agentTotals.values()) {
+      emitHistorical(totals, { ...agentAttributes(agent), ...scope });
+      const t = totals.tokens;
+      totalMessages += totals.messages;
+      totalTokens += t.input + t.output + t.cacheRead + t.cacheWrite + t.reasoning;
+      totalCost += totals.cost;
+    }
+    if (!inFlight) markPolled(target, session.id, session.time?.updated);
+  }
+  
+  if (totalMessages > 0) {
+    log(target, `Backfilled ${totalMessages} messages`);
+  }
+  if (totalTokens > 0) {
+    log(target, `Backfilled ${totalTokens} tokens`);
+  }
+  if (totalCost > 0) {
+    log(target, `Backfilled $${totalCost.toFixed(4)} cost`);
+  }
+  if (totalTools > 0) {
+    log(target, `Backfilled ${totalTools} tool uses across ${toolNames.size} tools`);
+  }
+}
+
+// Periodic polling to catch Anthropic sessions that don't broadcast SSE events.
+// Only sessions whose time.updated changed since the last pass are re-downloaded.
+export async function pollSessions(target) {
+  if (target.polling) return;
+  target.polling = true;
+  const source = { source: target.instance };
+  const startTime = Date.now();
+  const startBytes = target.bytesFetched;
+  try {
+    const sessions = await fetchJson(target, "/session");
+    if (!Array.isArray(sessions)) return;
+    
+    const totals = { messages: 0, tokens: 0, fetched: 0, skipped: 0, failed: 0 };
+    const changed = [];
+    
+    for (const session of sessions) {
+      // Update session metadata
+      trackSession(target, session);
+      if (touchSession(target, session.id)) {
+        sessionCounter.add(1, source);
+      }
+      target.sessionMetadata.set(session.id, {
+        slug: session.slug || "",
+        title: session.title || "",
+        directory: session.directory || "",
+        parentId: session.parentID || "",
+      });
+      
+      if (isUnchanged(target, session)) {
+        totals.skipped++;
+      } else {
+        changed.push(session);
+      }
+    }
+    
+    // fetchJson's limiter bounds how many of these actually run at once
+    await Promise.all(changed.map(session => pollSession(target, session, totals)));
+    
+    if (totals.messages > 0 || totals.tokens > 0) {
+      log(target, `Poll: +${totals.messages} messages, +${totals.tokens} tokens`);
+    }
+    pollSessionsCounter.add(totals.fetched, { result: "fetched", ...source });
+    pollSessionsCounter.add(totals.skipped, { result: "skipped", ...source });
+    pollSessionsCounter.add(totals.failed, { result: "failed", ...source });
+    
+    // Forget checkpoints for sessions OpenCode no longer lists
+    const listed = new Set(sessions.map(s => s.id));
+    for (const id of [...target.checkpoints.keys()]) {
+      if (!listed.has(id)) forgetSession(target, id);
+    }
+    for (const id of [...target.sessionLifecycle.keys()]) {
+      if (!listed.has(id)) endSession(target, id);
+    }
+    target.lastPollSuccess = Date.now();
+  } catch (error) {
+    pollFailureCounter.add(1, source);
+    logError(target, `Poll error: ${error.message}`);
+  } finally {
+    pollDurationHistogram.record((Date.now() - startTime) / 1000, source);
+    pollBytesCounter.add(target.bytesFetched - startBytes, source);
+    target.polling = false;
+  }
+}
+
+// Fetch one session's messages and count any that haven't been counted yet
+async function pollSession(target, session, totals) {
+  let messages;
+  try {
+    messages = await fetchJson(target, `/session/${session.id}/message`);
+  } catch (e) {
+    // Skip sessions we can't fetch messages for
+    totals.failed++;
+    return;
+  }
+  if (!Array.isArray(messages)) return;
+  totals.fetched++;
+  
+  let inFlight = false;
+  for (const msg of messages) {
+    if (!msg.info) continue;
+    rememberMessageAgent(target, msg.info);
+    
+    // An unfinished assistant message means we must look at this session again next pass
+    if (msg.info.role === "assistant" && !msg.info.finish) inFlight = true;
+    
+    if (countMessage(target, msg.info, session.id)) {
+      totals.messages++;
+      totals.tokens += totalTokens(msg.info.tokens);
+    }
+  }
+  
+  // Tool calls are counted on their own, even while their message is still running
+  for (const msg of messages) {
+    for (const part of msg.parts || []) {
+      processToolPart(target, part, session.id);
+    }
+  }
+  
+  if (!inFlight) markPolled(target, session.id, session.time?.updated);
+}
+
+export function startPolling(target) {
+  stopPolling(target);
+  log(target, `Starting periodic polling every ${POLL_INTERVAL}ms...`);
+  target.pollInterval = setInterval(() => pollSessions(target), POLL_INTERVAL);
+}
+
+export function stopPolling(target) {
+  if (target.pollInterval) {
+    clearInterval(target.pollInterval);
+    target.pollInterval = null;
+  }
+}
@@ -0,0 +1,40 @@
+import { readFileSync } from "fs";
+import { PRICING_FILE } from "./config.js";
+import { writeLog } from "./log.js";
+
+// Pricing table - "provider/model" (or "model", or "provider/*") -> USD per million tokens by token type
+// e.g. {"anthropic/claude-sonnet-4": {"input": 3, "output": 15, "cacheRead": 0.3, "cacheCreation": 3.75}}
+let pricingTable = {};
+
+export function loadPricing() {
+  if (!PRICING_FILE) return;
+  try {
+    pricingTable = JSON.parse(readFileSync(PRICING_FILE, "utf8"));
+    writeLog("info", `Loaded pricing for ${Object.keys(pricingTable).length} models`);
+  } catch (error) {
+    writeLog("error", `Failed to load pricing file ${PRICING_FILE}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function findPricing(modelId, providerId) {
+  return pricingTable[`${providerId}/${modelId}`] || pricingTable[modelId] || pricingTable[`${providerId}/*`] || null;
+}
+
+// Cost of one assistant message: OpenCode's own cost when it reports one, otherwise the pricing table
+export function messageCost(info, modelId, providerId) {
+  if (typeof info.cost === "number" && info.cost > 0) return info.cost;
+
+  // Raw IDs first, so pricing files written against OpenCode's own IDs keep working
+  const prices = findPricing(info.modelID, info.providerID) || findPricing(modelId, providerId);
+  const tokens = info.tokens;
+  if (!prices || !tokens) return 0;
+
+  const perToken = (type) => (prices[type] || 0) / 1_000_000;
+  return (tokens.input || 0) * perToken("input") +
+    (tokens.output || 0) * perToken("output") +
+    (tokens.cache?.read || 0) * perToken("cacheRead") +
+    (tokens.cache?.write || 0) * perToken("cacheCreation") +
+    // Reasoning tokens are billed as output unless the table says otherwise
+    (tokens.reasoning || 0) * ((prices.reasoning ?? prices.output ?? 0) / 1_000_000);
+}
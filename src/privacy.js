@@ -0,0 +1,145 @@
+import { createHash } from "crypto";
+import { readFileSync } from "fs";
+import { PRIVACY_FILE, REDACT_FIELDS, REDACT_MODE, REDACT_SALT } from "./config.js";
+import { recordExemplar } from "./exemplars.js";
+import { writeLog } from "./log.js";
+
+// Privacy policy - attribute name -> list of steps applied in order to every metric attribute
+// with that name (see withPrivacy) and to the same fields in logs. A step is "drop", "hash",
+// "basename" (last path segment), "keep" or a regex rewrite {"pattern", "flags", "replace"}.
+// REDACT_FIELDS is shorthand for hashing or dropping title, directory and error (the "message" label).
+// The policy is rebuilt on config reload; values already exported keep the policy they had.
+const PRIVACY_STEPS = ["drop", "hash", "basename", "keep"];
+export let privacyPolicy;
+let privacySalt;
+
+try {
+  ({ policy: privacyPolicy, salt: privacySalt } = loadPrivacyPolicy());
+} catch (error) {
+  writeLog("error", error.message);
+  process.exit(1);
+}
+
+// Swap in the policy from the current settings. Throws if the privacy file is unreadable or
+// invalid, leaving the current policy in place.
+export function reloadPrivacyPolicy() {
+  ({ policy: privacyPolicy, salt: privacySalt } = loadPrivacyPolicy());
+}
+
+function loadPrivacyPolicy() {
+  const policy = new Map();
+  for (const field of REDACT_FIELDS) {
+    policy.set(field === "error" ? "message" : field, [REDACT_MODE === "remove" ? "drop" : "hash"]);
+  }
+  if (!PRIVACY_FILE) return { policy, salt: REDACT_SALT };
+  
+  let config;
+  try {
+    config = JSON.parse(readFileSync(PRIVACY_FILE, "utf8"));
+  } catch (error) {
+    throw new Error(`Failed to load privacy file ${PRIVACY_FILE}: ${error.message}`);
+  }
+  
+  const errors = [];
+  for (const [field, rule] of Object.entries(config.fields || {})) {
+    const steps = (Array.isArray(rule) ? rule : [rule]).map((step) => {
+      if (PRIVACY_STEPS.includes(step)) return step;
+      if (typeof step?.pattern === "string") {
+        try {
+          return { regex: new RegExp(step.pattern, step.flags ?? "g"), replace: step.replace ?? "" };
+        } catch (error) {
+          errors.push(`${field}: ${error.message}`);
+          return null;
+        }
+      }
+      errors.push(`${field}: unknown step ${JSON.stringify(step)}`);
+      return null;
+    });
+    policy.set(field, steps);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid privacy file ${PRIVACY_FILE}:\n  ${errors.join("\n  ")}`);
+  }
+  return { policy, salt: config.salt || REDACT_SALT };
+}
+
+// Returns undefined when the policy drops the value
+function applyPrivacySteps(steps, value) {
+  for (const step of steps) {
+    if (value === undefined || value === null || value === "") return value;
+    if (step === "drop") return undefined;
+    if (step === "hash") {
+      value = `sha256:${createHash("sha256").update(`${privacySalt}${value}`).digest("hex").slice(0, 12)}`;
+    } else if (step === "basename") {
+      value = String(value).split(/[\\/]/).filter(Boolean).pop() || value;
+    } else if (step !== "keep") {
+      value = String(value).replace(step.regex, step.replace);
+    }
+  }
+  return value;
+}
+
+export function applyPrivacy(attributes) {
+  if (privacyPolicy.size === 0 || !attributes) return attributes;
+  const result = {};
+  for (const [key, value] of Object.entries(attributes)) {
+    const steps = privacyPolicy.get(key);
+    const applied = steps ? applyPrivacySteps(steps, value) : value;
+    if (applied !== undefined) result[key] = applied;
+  }
+  return result;
+}
+
+// The same policy for a single value in a log line; dropped values show as [redacted]
+export function redact(field, value) {
+  const steps = privacyPolicy.get(field);
+  if (!steps) return value;
+  return applyPrivacySteps(steps, value) ?? "[redacted]";
+}
+
+// Raw event properties for trace logs, with policy fields replaced wherever they appear
+export function redactProperties(value) {
+  if (privacyPolicy.size === 0 || !value || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map(redactProperties);
+  const fieldFor = { cwd: "directory", root: "directory", error: "message" };
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [
+    key,
+    typeof v === "string" ? redact(fieldFor[key] || key, v) : redactProperties(v),
+  ]));
+}
+
+// Wrap a meter so every attribute set it records or observes passes through the privacy policy.
+// Counters take an optional exemplar {labels, spanContext} in place of the API's context argument.
+export function withPrivacy(meter) {
+  const syncInstrument = (name, instrument) => ({
+    add: (value, attributes, exemplar) => {
+      const applied = applyPrivacy(attributes);
+      instrument.add(value, applied);
+      if (exemplar) recordExemplar(name, applied, value, { ...exemplar, labels: applyPrivacy(exemplar.labels) });
+    },
+    record: (value, attributes) => instrument.record(value, applyPrivacy(attributes)),
+  });
+  const privateResult = (result) => ({
+    observe: (value, attributes) => result.observe(value, applyPrivacy(attributes)),
+  });
+  const observableInstrument = (instrument) => {
+    const addCallback = instrument.addCallback.bind(instrument);
+    instrument.addCallback = (callback) => addCallback(result => callback(privateResult(result)));
+    return instrument;
+  };
+  
+  return {
+    createCounter: (name, options) => syncInstrument(name, meter.createCounter(name, options)),
+    createUpDownCounter: (name, options) => syncInstrument(name, meter.createUpDownCounter(name, options)),
+    createHistogram: (name, options) => syncInstrument(name, meter.createHistogram(name, options)),
+    createObservableGauge: (name, options) => observableInstrument(meter.createObservableGauge(name, options)),
+    createObservableCounter: (name, options) => observableInstrument(meter.createObservableCounter(name, options)),
+    createObservableUpDownCounter: (name, options) => observableInstrument(meter.createObservableUpDownCounter(name, options)),
+    addBatchObservableCallback: (callback, observables) => meter.addBatchObservableCallback(
+      result => callback({
+        observe: (instrument, value, attributes) => result.observe(instrument, value, applyPrivacy(attributes)),
+      }),
+      observables
+    ),
+  };
+}
@@ -0,0 +1,250 @@
+import { MAX_ERRORS } from "./config.js";
+import { log, logDebug, logEnabled, logError, logNoisy, logWarn, writeLog } from "./log.js";
+import { redact, redactProperties } from "./privacy.js";
+import {
+  costCounter,
+  errorCounter,
+  messageCounter,
+  messageDurationHistogram,
+  sessionActivityCounter,
+  sessionCounter,
+  tokenCounter,
+  tracer,
+} from "./telemetry.js";
+import { recentErrors } from "./targets.js";
+import { forgetSession, markProcessed, touchSession } from "./checkpoints.js";
+import { agentAttributes, messageAgent, rememberMessageAgent, scopeAttributes } from "./labels.js";
+import { endSessionSpan, messageSpanContext, traceMessage, traceMessageStart } from "./tracing.js";
+import { countSessionMessage, endSession, trackSession } from "./sessions.js";
+import { processToolPart } from "./tools.js";
+import { normalizeModel } from "./models.js";
+import { messageCost } from "./pricing.js";
+import { recordBudgetUsage } from "./budgets.js";
+import { archiveMessage } from "./archive.js";
+
+// Message counting shared by the event stream, polling and backfill
+function recordMessageDuration(target, info, modelId, providerId) {
+  const { created, completed } = info.time || {};
+  if (!created || !completed || completed < created) return;
+  messageDurationHistogram.record((completed - created) / 1000, { model: modelId, provider: providerId, source: target.instance });
+}
+
+// Emit one session's backfilled totals under the "historical" model/provider
+export function emitHistorical(totals, scope) {
+  const historical = { model: "historical", provider: "historical", ...scope };
+  
+  if (totals.messages > 0) {
+    messageCounter.add(totals.messages, { role: "backfill", ...historical });
+  }
+  if (totals.tokens.input > 0) {
+    tokenCounter.add(totals.tokens.input, { type: "input", ...historical });
+  }
+  if (totals.tokens.output > 0) {
+    tokenCounter.add(totals.tokens.output, { type: "output", ...historical });
+  }
+  if (totals.tokens.cacheRead > 0) {
+    tokenCounter.add(totals.tokens.cacheRead, { type: "cacheRead", ...historical });
+  }
+  if (totals.tokens.cacheWrite > 0) {
+    tokenCounter.add(totals.tokens.cacheWrite, { type: "cacheCreation", ...historical });
+  }
+  if (totals.tokens.reasoning > 0) {
+    tokenCounter.add(totals.tokens.reasoning, { type: "reasoning", ...historical });
+  }
+  if (totals.cost > 0) {
+    costCounter.add(totals.cost, historical);
+  }
+}
+
+// Session id of an event, wherever this event type keeps it
+function eventSessionId(properties) {
+  return properties?.sessionID || properties?.info?.sessionID || properties?.part?.sessionID ||
+    (properties?.info?.id?.startsWith("ses") ? properties.info.id : undefined);
+}
+
+export function processEvent(target, event) {
+  try {
+    const { type, properties } = event;
+    const source = { source: target.instance };
+    
+    const eventFields = { event_type: type, session_id: eventSessionId(properties) };
+    if (logEnabled("trace")) {
+      writeLog("trace", `Event: ${type} ${JSON.stringify(redactProperties(properties)).slice(0, 200)}`, { source: target.instance, ...eventFields });
+    } else {
+      logDebug(target, `Event: ${type}`, eventFields);
+    }
+
+    switch (type) {
+      case "session.created":
+        // Handle nested info structure
+        const sessionInfo = properties?.info || properties;
+        if (!sessionInfo?.id || touchSession(target, sessionInfo.id)) {
+          sessionCounter.add(1, source);
+        }
+        if (sessionInfo?.id) {
+          trackSession(target, sessionInfo);
+          target.sessionMetadata.set(sessionInfo.id, {
+            slug: sessionInfo.slug || "",
+            title: sessionInfo.title || "",
+            directory: sessionInfo.directory || "",
+            parentId: sessionInfo.parentID || "",
+          });
+        }
+        log(target, `Session created: ${sessionInfo?.id || "unknown"}`, { session_id: sessionInfo?.id });
+        break;
+
+      case "session.updated":
+        const updatedSession = properties?.info || properties;
+        trackSession(target, updatedSession);
+        if (updatedSession?.id && target.sessionMetadata.has(updatedSession.id)) {
+          const meta = target.sessionMetadata.get(updatedSession.id);
+          if (updatedSession.title) meta.title = updatedSession.title;
+          if (updatedSession.directory) meta.directory = updatedSession.directory;
+          if (updatedSession.slug) meta.slug = updatedSession.slug;
+          if (updatedSession.parentID) meta.parentId = updatedSession.parentID;
+        }
+        break;
+
+      case "session.deleted":
+        const deletedSession = properties?.info || properties;
+        if (deletedSession?.id) {
+          endSession(target, deletedSession.id);
+          target.sessionMetadata.delete(deletedSession.id);
+          forgetSession(target, deletedSession.id);
+          if (tracer) endSessionSpan(target, deletedSession.id);
+        }
+        log(target, `Session deleted: ${deletedSession?.id || "unknown"}`, { session_id: deletedSession?.id });
+        break;
+
+      case "message.created":
+      case "message.updated":
+        processMessage(target, properties);
+        break;
+
+      case "part.created":
+      case "part.updated":
+      case "message.part.updated":
+        processPart(target, properties);
+        break;
+
+      case "error":
+        const errorType = properties?.code || "unknown";
+        const errorMessage = properties?.message || "unknown";
+        errorCounter.add(1, { type: errorType, ...source });
+        
+        // Store error details for table view
+        recentErrors.push({
+          timestamp: Date.now(),
+          type: errorType,
+          message: errorMessage,
+          instance: target.instance,
+        });
+        
+        // Keep only last MAX_ERRORS
+        while (recentErrors.length > MAX_ERRORS) {
+          recentErrors.shift();
+        }
+        
+        logWarn(target, `Error event: ${redact("message", errorMessage)}`, { error_type: errorType });
+        break;
+    }
+  } catch (error) {
+    logError(target, `Error processing event: ${error.message}`);
+  }
+}
+
+function processMessage(target, properties, sessionId = null) {
+  if (!properties) return;
+
+  // Handle nested info structure from SSE events
+  const info = properties.info || properties;
+  
+  // Try to get session ID from properties if not provided
+  const sessId = sessionId || properties.sessionID || properties.session_id || info.sessionID || info.session_id;
+  
+  rememberMessageAgent(target, info);
+  if (info.role === "assistant" && !info.finish) {
+    traceMessageStart(target, info, sessId);
+  }
+  if (!countMessage(target, info, sessId)) return;
+  
+  const { tokens } = info;
+  const { model, provider } = normalizeModel(info.modelID, info.providerID);
+  logNoisy(target, "message", `Tokens: +${tokens.input || 0} input, +${tokens.output || 0} output (${model})`, {
+    session_id: sessId,
+    model,
+    provider,
+    input_tokens: tokens.input || 0,
+    output_tokens: tokens.output || 0,
+  });
+}
+
+// Count one assistant message seen by SSE or polling. Only finished assistant messages with
+// tokens count, each exactly once whichever path delivers it first. Returns true if it was counted.
+export function countMessage(target, info, sessionId) {
+  const { id, role, modelID, providerID, tokens, finish } = info;
+  if (role !== "assistant" || !tokens || !finish) return false;
+  
+  // Avoid counting the same message multiple times
+  const msgKey = `${id}-${role}`;
+  if (target.processedMessages.has(msgKey)) return false;
+  markProcessed(target, sessionId, msgKey, id);
+  traceMessage(target, info, sessionId);
+
+  // Increment per-session activity counter for time-range aware counting
+  if (sessionId) {
+    sessionActivityCounter.add(1, { session_id: sessionId, source: target.instance });
+  }
+
+  // Extract token usage from info.tokens
+  const { model: modelId, provider: providerId, ...modelAttrs } = normalizeModel(modelID, providerID);
+  const scope = { ...agentAttributes(messageAgent(info)), ...scopeAttributes(target, sessionId) };
+  // Points the message and token series back at this message (see exemplars.js)
+  const exemplar = { labels: { session_id: sessionId, message_id: id }, spanContext: messageSpanContext(target, id) };
+  
+  recordMessageDuration(target, info, modelId, providerId);
+
+  messageCounter.add(1, {
+    role,
+    model: modelId,
+    provider: providerId,
+    ...modelAttrs,
+    ...scope,
+  }, exemplar);
+  
+  if (tokens.input) {
+    tokenCounter.add(tokens.input, { type: "input", model: modelId, provider: providerId, ...modelAttrs, ...scope }, exemplar);
+  }
+  if (tokens.output) {
+    tokenCounter.add(tokens.output, { type: "output", model: modelId, provider: providerId, ...modelAttrs, ...scope }, exemplar);
+  }
+  if (tokens.cache?.read) {
+    tokenCounter.add(tokens.cache.read, { type: "cacheRead", model: modelId, provider: providerId, ...modelAttrs, ...scope }, exemplar);
+  }
+  if (tokens.cache?.write) {
+    tokenCounter.add(tokens.cache.write, { type: "cacheCreation", model: modelId, provider: providerId, ...modelAttrs, ...scope }, exemplar);
+  }
+  if (tokens.reasoning) {
+    tokenCounter.add(tokens.reasoning, { type: "reasoning", model: modelId, provider: providerId, ...modelAttrs, ...scope }, exemplar);
+  }
+
+  const cost = messageCost(info, modelId, providerId);
+  if (cost > 0) {
+    costCounter.add(cost, { model: modelId, provider: providerId, ...scope });
+  }
+  archiveMessage(target, info, sessionId, modelId, providerId, cost);
+  
+  recordBudgetUsage(target, info, sessionId);
+  countSessionMessage(target, sessionId, info);
+  return true;
+}
+
+function processPart(target, properties) {
+  if (!properties) return;
+
+  // message.part.updated carries the part under properties.part
+  const part = properties.part || properties;
+  if (part.type === "tool") {
+    processToolPart(target, part, part.sessionID || properties.sessionID);
+  }
+}
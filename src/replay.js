@@ -0,0 +1,430 @@
+import { ValueType } from "@opentelemetry/api";
+import { ExportResultCode, millisToHrTime } from "@opentelemetry/core";
+import { AggregationTemporality, DataPointType, InstrumentType } from "@opentelemetry/sdk-metrics";
+import { closeSync, openSync, readdirSync, readFileSync, writeSync } from "fs";
+import { join } from "path";
+import { parseArgs } from "util";
+import { INSTANCE_ID, MESSAGE_DURATION_BUCKETS, OTEL_METRICS_ENDPOINT, TOOL_DURATION_BUCKETS } from "./config.js";
+import { log, logWarn, writeLog } from "./log.js";
+import { applyPrivacy } from "./privacy.js";
+import { createMetricExporter } from "./otlp.js";
+import { resource } from "./telemetry.js";
+import { createTarget, targets } from "./targets.js";
+import { agentAttributes, messageAgent, scopeAttributes } from "./labels.js";
+import { classifyToolError } from "./tools.js";
+import { loadModelRules, normalizeModel } from "./models.js";
+import { loadPricing, messageCost } from "./pricing.js";
+import { fetchJson } from "./client.js";
+
+// Offline replay - turns exported or live session history into data points stamped with the
+// time each message and tool call actually happened, with the same labels as live metrics.
+// Unlike the one-off backfill, nothing is lumped into "historical" and the checkpoint is never touched.
+// Counters are cumulative and written every --step from a series' first event to the end of the range.
+// Message and token samples carry an exemplar naming the last message behind them, in both outputs.
+const REPLAY_COUNTERS = {
+  "opencode.session.count": { description: "Count of OpenCode sessions", unit: "1" },
+  "opencode.message.count": { description: "Count of messages sent", unit: "1" },
+  "opencode.token.usage": { description: "Number of tokens used", unit: "tokens" },
+  "opencode.cost.usd": { description: "Cost of model usage in US dollars", unit: "USD" },
+  "opencode.tool.usage": { description: "Count of finished tool calls (by tool, status)", unit: "1" },
+  "opencode.tool.error.count": { description: "Count of failed tool calls (by tool, error class)", unit: "1" },
+};
+const REPLAY_HISTOGRAMS = {
+  "opencode.message.duration": {
+    description: "Time from an assistant message being created to it completing",
+    unit: "s",
+    boundaries: MESSAGE_DURATION_BUCKETS,
+  },
+  "opencode.tool.duration": { description: "Execution time of tool calls", unit: "s", boundaries: TOOL_DURATION_BUCKETS },
+};
+// Data points per OTLP export request
+const REPLAY_BATCH_SIZE = 1000;
+
+function parseReplayArgs() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: process.argv.slice(3),
+      options: {
+        dir: { type: "string" },
+        output: { type: "string", default: "openmetrics" },
+        file: { type: "string", default: "opencode-replay.om" },
+        step: { type: "string", default: "3600" },
+        since: { type: "string" },
+        until: { type: "string" },
+        source: { type: "string", default: INSTANCE_ID },
+      },
+    }));
+  } catch (error) {
+    writeLog("error", `Invalid replay arguments: ${error.message}`);
+    process.exit(1);
+  }
+  
+  const options = {
+    dir: values.dir,
+    output: values.output,
+    file: values.file,
+    step: parseFloat(values.step) * 1000,
+    since: values.since ? Date.parse(values.since) : 0,
+    until: values.until ? Date.parse(values.until) : Infinity,
+    source: values.source,
+  };
+  const errors = [];
+  if (!["openmetrics", "otlp"].includes(options.output)) errors.push(`--output must be openmetrics or otlp, got "${options.output}"`);
+  if (!(options.step >= 1000)) errors.push(`--step must be at least 1 second, got "${values.step}"`);
+  if (isNaN(options.since)) errors.push(`--since is not a date: "${values.since}"`);
+  if (isNaN(options.until)) errors.push(`--until is not a date: "${values.until}"`);
+  if (errors.length > 0) {
+    writeLog("error", `Invalid replay arguments:\n  ${errors.join("\n  ")}`);
+    process.exit(1);
+  }
+  return options;
+}
+
+// Session exports as written by `opencode export`: {info, messages: [{info, parts}]}, one per file
+// or several in an array. Other JSON files in the directory are skipped.
+function readExportFiles(dir) {
+  const exports = [];
+  let skipped = 0;
+  for (const file of readdirSync(dir, { recursive: true })) {
+    if (!String(file).endsWith(".json")) continue;
+    let data;
+    try {
+      data = JSON.parse(readFileSync(join(dir, String(file)), "utf8"));
+    } catch (error) {
+      writeLog("warn", `Skipping ${file}: ${error.message}`);
+      skipped++;
+      continue;
+    }
+    for (const entry of Array.isArray(data) ? data : [data]) {
+      if (entry?.info?.id && Array.isArray(entry.messages)) {
+        exports.push(entry);
+      } else {
+        skipped++;
+      }
+    }
+  }
+  if (skipped > 0) {
+    writeLog("info", `Skipped ${skipped} files or entries that aren't session exports`);
+  }
+  return exports;
+}
+
+// Emit one session's history through record(name, time, value, attrs, exemplar), mirroring the live counters
+function replaySession(target, session, messages, record) {
+  const source = { source: target.instance };
+  const scope = scopeAttributes(target, session.id);
+  record("opencode.session.count", session.time?.created, 1, source);
+  
+  const seenCalls = new Set();
+  for (const msg of messages) {
+    const info = msg.info;
+    if (!info) continue;
+    
+    if (info.role === "assistant" && info.tokens && info.finish) {
+      const { created, completed } = info.time || {};
+      const time = completed || created;
+      const { model, provider, ...modelAttrs } = normalizeModel(info.modelID, info.providerID);
+      const tokens = info.tokens;
+      const agent = agentAttributes(messageAgent(info));
+      const exemplar = { session_id: session.id, message_id: info.id };
+      
+      record("opencode.message.count", time, 1, { role: "assistant", model, provider, ...modelAttrs, ...agent, ...scope }, exemplar);
+      const byType = {
+        input: tokens.input,
+        output: tokens.output,
+        cacheRead: tokens.cache?.read,
+        cacheCreation: tokens.cache?.write,
+        reasoning: tokens.reasoning,
+      };
+      for (const [type, value] of Object.entries(byType)) {
+        if (value) record("opencode.token.usage", time, value, { type, model, provider, ...modelAttrs, ...agent, ...scope }, exemplar);
+      }
+      const cost = messageCost(info, model, provider);
+      if (cost > 0) record("opencode.cost.usd", time, cost, { model, provider, ...agent, ...scope });
+      if (created && completed >= created) {
+        record("opencode.message.duration", completed, (completed - created) / 1000, { model, provider, ...source });
+      }
+    }
+    
+    for (const part of msg.parts || []) {
+      const status = part.state?.status;
+      if (part.type !== "tool" || (status !== "completed" && status !== "error")) continue;
+      const callId = part.callID || part.id;
+      if (callId && seenCalls.has(callId)) continue;
+      seenCalls.add(callId);
+      
+      const tool = part.tool || "unknown";
+      const agent = agentAttributes(messageAgent(info));
+      const { start, end } = part.state.time || {};
+      const time = end || info.time?.completed || info.time?.created;
+      record("opencode.tool.usage", time, 1, { tool, status, ...agent, ...scope });
+      if (status === "error") {
+        record("opencode.tool.error.count", time, 1, { tool, error_class: classifyToolError(part.state.error), ...agent, ...scope });
+      }
+      if (start && end >= start) {
+        record("opencode.tool.duration", end, (end - start) / 1000, { tool, status, ...source });
+      }
+    }
+  }
+}
+
+// Fold events into cumulative series with one point per step they changed in
+function buildReplaySeries(events, step) {
+  events.sort((a, b) => a.time - b.time);
+  const series = new Map();
+  
+  for (const event of events) {
+    const key = `${event.name}${JSON.stringify(event.attrs)}`;
+    const histogram = REPLAY_HISTOGRAMS[event.name];
+    let s = series.get(key);
+    if (!s) {
+      s = {
+        name: event.name,
+        attrs: event.attrs,
+        start: event.time,
+        points: [],
+        value: histogram ?
+          { counts: new Array(histogram.boundaries.length + 1).fill(0), sum: 0, count: 0, min: Infinity, max: -Infinity } :
+          0,
+      };
+      series.set(key, s);
+    }
+    
+    let snapshot;
+    if (histogram) {
+      const h = s.value;
+      const bucket = histogram.boundaries.findIndex(b => event.value <= b);
+      h.counts[bucket === -1 ? histogram.boundaries.length : bucket]++;
+      h.sum += event.value;
+      h.count++;
+      h.min = Math.min(h.min, event.value);
+      h.max = Math.max(h.max, event.value);
+      snapshot = { ...h, counts: [...h.counts] };
+    } else {
+      s.value += event.value;
+      snapshot = s.value;
+    }
+    
+    // Stamped at the start of its step, never later than the events in it, so nothing lands in the future
+    const time = Math.floor(event.time / step) * step;
+    const exemplar = event.exemplar && { labels: event.exemplar, value: event.value, time: event.time };
+    const last = s.points[s.points.length - 1];
+    if (last?.time === time) {
+      last.value = snapshot;
+      if (exemplar) last.exemplar = exemplar;
+    } else {
+      s.points.push({ time, value: snapshot, exemplar });
+    }
+  }
+  return [...series.values()];
+}
+
+// Yield {time, value, exemplar} for every step from the series' first point to end, carrying values
+// forward. Only the step a point changed in gets its exemplar.
+function* samplesOf(series, step, end) {
+  let i = 0;
+  for (let time = series.points[0].time; time <= end; time += step) {
+    while (i + 1 < series.points.length && series.points[i + 1].time <= time) i++;
+    const point = series.points[i];
+    yield { time, value: point.value, exemplar: point.time === time ? point.exemplar : undefined };
+  }
+}
+
+function openMetricsLabels(attrs, extra = {}) {
+  const escape = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  const pairs = Object.entries({ ...attrs, ...extra }).map(([k, v]) => `${k}="${escape(v)}"`);
+  return `{${pairs.join(",")}}`;
+}
+
+// " # {labels} value timestamp" after a counter sample. OpenMetrics caps an exemplar's label
+// names and values at 128 characters in total, so longer ones (e.g. hashed ids) are left off.
+function openMetricsExemplar(exemplar) {
+  if (!exemplar) return "";
+  const length = Object.entries(exemplar.labels).reduce((sum, [k, v]) => sum + k.length + String(v).length, 0);
+  if (length > 128) return "";
+  return ` # ${openMetricsLabels(exemplar.labels)} ${exemplar.value} ${exemplar.time / 1000}`;
+}
+
+// OpenMetrics text for `promtool tsdb create-blocks-from openmetrics`, named like the Prometheus exporter
+function writeOpenMetrics(series, file, step, end) {
+  const fd = openSync(file, "w");
+  let buffer = [];
+  const write = (line) => {
+    buffer.push(line);
+    if (buffer.length >= 10000) {
+      writeSync(fd, buffer.join("\n") + "\n");
+      buffer = [];
+    }
+  };
+  
+  let samples = 0;
+  for (const name of [...Object.keys(REPLAY_COUNTERS), ...Object.keys(REPLAY_HISTOGRAMS)]) {
+    const family = series.filter(s => s.name === name);
+    if (family.length === 0) continue;
+    const histogram = REPLAY_HISTOGRAMS[name];
+    const metricName = name.replace(/\./g, "_");
+    write(`# TYPE ${metricName} ${histogram ? "histogram" : "counter"}`);
+    write(`# HELP ${metricName} ${(histogram || REPLAY_COUNTERS[name]).description}`);
+    
+    for (const s of family) {
+      for (const { time, value, exemplar } of samplesOf(s, step, end)) {
+        const ts = time / 1000;
+        if (!histogram) {
+          write(`${metricName}_total${openMetricsLabels(s.attrs)} ${value} ${ts}${openMetricsExemplar(exemplar)}`);
+        } else {
+          let cumulative = 0;
+          histogram.boundaries.forEach((le, i) => {
+            cumulative += value.counts[i];
+            write(`${metricName}_bucket${openMetricsLabels(s.attrs, { le })} ${cumulative} ${ts}`);
+          });
+          write(`${metricName}_bucket${openMetricsLabels(s.attrs, { le: "+Inf" })} ${value.count} ${ts}`);
+          write(`${metricName}_count${openMetricsLabels(s.attrs)} ${value.count} ${ts}`);
+          write(`${metricName}_sum${openMetricsLabels(s.attrs)} ${value.sum} ${ts}`);
+        }
+        samples++;
+      }
+    }
+  }
+  write("# EOF");
+  writeSync(fd, buffer.join("\n") + "\n");
+  closeSync(fd);
+  return samples;
+}
+
+function replayResourceMetrics(points) {
+  const metrics = new Map();
+  for (const { series, time, value, exemplar } of points) {
+    const histogram = REPLAY_HISTOGRAMS[series.name];
+    if (!metrics.has(series.name)) {
+      const definition = histogram || REPLAY_COUNTERS[series.name];
+      metrics.set(series.name, {
+        descriptor: {
+          name: series.name,
+          description: definition.description,
+          unit: definition.unit,
+          type: histogram ? InstrumentType.HISTOGRAM : InstrumentType.COUNTER,
+          valueType: ValueType.DOUBLE,
+        },
+        aggregationTemporality: AggregationTemporality.CUMULATIVE,
+        dataPointType: histogram ? DataPointType.HISTOGRAM : DataPointType.SUM,
+        isMonotonic: true,
+        dataPoints: [],
+      });
+    }
+    metrics.get(series.name).dataPoints.push({
+      attributes: series.attrs,
+      startTime: millisToHrTime(series.start),
+      endTime: millisToHrTime(time),
+      value: histogram ? {
+        buckets: { boundaries: histogram.boundaries, counts: value.counts },
+        sum: value.sum,
+        count: value.count,
+        min: value.min,
+        max: value.max,
+      } : value,
+      exemplars: exemplar ? [{ ...exemplar, time: millisToHrTime(exemplar.time) }] : undefined,
+    });
+  }
+  return { resource, scopeMetrics: [{ scope: { name: "opencode-metrics" }, metrics: [...metrics.values()] }] };
+}
+
+// Push the samples to the collector in time order, REPLAY_BATCH_SIZE data points per request
+async function exportReplayOtlp(series, step, end) {
+  const exporter = createMetricExporter();
+  const iterators = series.map(s => ({ series: s, samples: samplesOf(s, step, end) }));
+  let batch = [];
+  let samples = 0;
+  
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await new Promise(resolve => exporter.export(replayResourceMetrics(batch), resolve));
+    if (result.code !== ExportResultCode.SUCCESS) {
+      throw result.error || new Error("OTLP export failed");
+    }
+    samples += batch.length;
+    batch = [];
+  };
+  
+  const first = Math.min(...series.map(s => s.points[0].time));
+  for (let time = first; time <= end; time += step) {
+    for (const it of iterators) {
+      if (it.series.points[0].time > time) continue;
+      batch.push({ series: it.series, ...it.samples.next().value });
+      if (batch.length >= REPLAY_BATCH_SIZE) await flush();
+    }
+  }
+  await flush();
+  await exporter.shutdown();
+  return samples;
+}
+
+export async function runReplay() {
+  const options = parseReplayArgs();
+  loadPricing();
+  loadModelRules();
+  
+  const events = [];
+  const record = (name, time, value, attrs, exemplar) => {
+    if (!time || time < options.since || time > options.until) return;
+    events.push({ name, time, value, attrs: applyPrivacy(attrs), exemplar: exemplar && applyPrivacy(exemplar) });
+  };
+  const remember = (target, session) => {
+    target.sessionMetadata.set(session.id, {
+      slug: session.slug || "",
+      title: session.title || "",
+      directory: session.directory || "",
+      parentId: session.parentID || "",
+    });
+  };
+  
+  let sessionCount = 0;
+  if (options.dir) {
+    writeLog("info", `Replaying session exports from ${options.dir} as source "${options.source}"...`);
+    const target = createTarget({ url: `file://${options.dir}`, instance: options.source });
+    const exports = readExportFiles(options.dir);
+    // Every session is known before any is replayed, so subagents always find their root
+    exports.forEach(({ info }) => remember(target, info));
+    for (const { info, messages } of exports) {
+      replaySession(target, info, messages, record);
+      sessionCount++;
+    }
+  } else {
+    for (const target of targets) {
+      log(target, `Replaying session history from ${target.url}...`);
+      const sessions = await fetchJson(target, "/session");
+      // Every session is known before any is replayed, so subagents always find their root
+      sessions.forEach(session => remember(target, session));
+      const histories = await Promise.all(sessions.map(session =>
+        fetchJson(target, `/session/${session.id}/message`).catch((error) => {
+          logWarn(target, `Skipping session ${session.id}: failed to fetch its messages: ${error.message}`, { session_id: session.id });
+          return null;
+        })
+      ));
+      sessions.forEach((session, i) => {
+        if (histories[i] === null) return;
+        replaySession(target, session, Array.isArray(histories[i]) ? histories[i] : [], record);
+        sessionCount++;
+      });
+    }
+  }
+  
+  if (events.length === 0) {
+    writeLog("info", `Nothing to replay from ${sessionCount} sessions`);
+    return;
+  }
+  // Sorts events by time as a side effect
+  const series = buildReplaySeries(events, options.step);
+  const last = Math.max(...series.map(s => s.points[s.points.length - 1].time));
+  const end = Number.isFinite(options.until) ? Math.floor(Math.min(options.until, Date.now()) / options.step) * options.step : last;
+  writeLog("info", `Replaying ${events.length} events from ${sessionCount} sessions into ${series.length} series, ` +
+    `${new Date(events[0].time).toISOString()} to ${new Date(events[events.length - 1].time).toISOString()}`);
+  
+  if (options.output === "otlp") {
+    const samples = await exportReplayOtlp(series, options.step, end);
+    writeLog("info", `Exported ${samples} data points to ${OTEL_METRICS_ENDPOINT}`);
+  } else {
+    const samples = writeOpenMetrics(series, options.file, options.step, end);
+    writeLog("info", `Wrote ${samples} samples to ${options.file}`);
+  }
+}
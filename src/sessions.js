@@ -0,0 +1,77 @@
+import { SESSION_IDLE_TIMEOUT } from "./config.js";
+import { sessionDurationHistogram, sessionMessagesHistogram, sessionTokensHistogram } from "./telemetry.js";
+import { targets } from "./targets.js";
+import { scopeAttributes } from "./labels.js";
+
+// Session lifecycle - a session is active while it has seen activity within SESSION_IDLE_TIMEOUT.
+// Going idle (or being deleted) closes the current activity period and records its duration,
+// message count and tokens. Activity after that starts a new period for the same session.
+export const totalTokens = (t) => (t.input || 0) + (t.output || 0) + (t.reasoning || 0) + (t.cache?.read || 0) + (t.cache?.write || 0);
+
+export function trackSession(target, session) {
+  if (!session?.id) return;
+  const created = session.time?.created;
+  if (created && !target.sessionLifecycle.has(session.id)) {
+    target.sessionLifecycle.set(session.id, {
+      start: created,
+      lastActivity: created,
+      messages: 0,
+      tokens: 0,
+      idle: Date.now() - created > SESSION_IDLE_TIMEOUT,
+    });
+  }
+  trackSessionActivity(target, session.id, session.time?.updated || created);
+}
+
+// Returns the session's lifecycle if the activity belongs to its current period, else null
+function trackSessionActivity(target, sessionId, time = Date.now()) {
+  if (!sessionId) return null;
+  const recent = Date.now() - time <= SESSION_IDLE_TIMEOUT;
+  let lifecycle = target.sessionLifecycle.get(sessionId);
+  if (!lifecycle) {
+    lifecycle = { start: time, lastActivity: time, messages: 0, tokens: 0, idle: !recent };
+    target.sessionLifecycle.set(sessionId, lifecycle);
+  }
+  
+  // Old activity (history, catch-up after a restart) never wakes an idle session
+  if (!recent) return lifecycle.idle ? null : lifecycle;
+  if (lifecycle.idle) {
+    Object.assign(lifecycle, { start: time, messages: 0, tokens: 0, idle: false });
+  }
+  lifecycle.lastActivity = Math.max(lifecycle.lastActivity, time);
+  return lifecycle;
+}
+
+export function countSessionMessage(target, sessionId, info) {
+  const lifecycle = trackSessionActivity(target, sessionId, info.time?.completed || Date.now());
+  if (!lifecycle) return;
+  lifecycle.messages++;
+  lifecycle.tokens += totalTokens(info.tokens || {});
+}
+
+function closeSessionPeriod(target, sessionId, lifecycle) {
+  lifecycle.idle = true;
+  const { session_id, root_session_id, ...attrs } = scopeAttributes(target, sessionId);
+  sessionDurationHistogram.record(Math.max(0, lifecycle.lastActivity - lifecycle.start) / 1000, attrs);
+  sessionMessagesHistogram.record(lifecycle.messages, attrs);
+  sessionTokensHistogram.record(lifecycle.tokens, attrs);
+}
+
+// Session deleted, or no longer listed by OpenCode
+export function endSession(target, sessionId) {
+  const lifecycle = target.sessionLifecycle.get(sessionId);
+  if (!lifecycle) return;
+  if (!lifecycle.idle) closeSessionPeriod(target, sessionId, lifecycle);
+  target.sessionLifecycle.delete(sessionId);
+}
+
+export function sweepIdleSessions() {
+  const now = Date.now();
+  for (const target of targets) {
+    for (const [sessionId, lifecycle] of target.sessionLifecycle) {
+      if (!lifecycle.idle && now - lifecycle.lastActivity > SESSION_IDLE_TIMEOUT) {
+        closeSessionPeriod(target, sessionId, lifecycle);
+      }
+    }
+  }
+}
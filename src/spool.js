@@ -0,0 +1,182 @@
+import { ExportResultCode } from "@opentelemetry/core";
+import { mkdirSync, readdirSync, readFileSync, statSync, unlinkSync, writeFileSync } from "fs";
+import { join } from "path";
+import { EXPORT_INTERVAL, EXPORT_RETRY_MAX_DELAY, EXPORT_SPOOL_DIR, EXPORT_SPOOL_MAX_BYTES, OTLP_PROTOCOL } from "./config.js";
+import { writeLog } from "./log.js";
+
+// Offline buffering for OTLP metric exports - a batch the collector doesn't take is written to
+// EXPORT_SPOOL_DIR as one JSON file and retried with backoff. Newer batches queue behind it, so
+// once the collector is back everything is sent oldest first. The spool survives restarts and is
+// capped at EXPORT_SPOOL_MAX_BYTES by dropping the oldest batches.
+export const spoolStatus = { batches: 0, bytes: 0, replayed: 0, dropped: { full: 0, rejected: 0, error: 0 } };
+
+const spool = []; // {file, bytes}, oldest first
+let spoolExporter = null;
+let spoolSequence = 0;
+let retryTimer = null;
+let retryAttempts = 0;
+let draining = false;
+let droppedThisOutage = 0;
+
+// HrTimes and values are plain JSON; only histogram min/max can be non-finite
+const encodeNumber = (key, value) => typeof value === "number" && !Number.isFinite(value) ? { $number: String(value) } : value;
+const decodeNumber = (key, value) => value?.$number !== undefined ? Number(value.$number) : value;
+
+// The collector refused the batch itself rather than being unreachable: sending it again won't help
+function isRejected(error) {
+  const code = error?.code;
+  if (OTLP_PROTOCOL === "grpc") return code === 3; // INVALID_ARGUMENT
+  return code >= 400 && code < 500 && code !== 408 && code !== 429;
+}
+
+function updateStatus() {
+  spoolStatus.batches = spool.length;
+  spoolStatus.bytes = spool.reduce((sum, entry) => sum + entry.bytes, 0);
+}
+
+function removeBatch(entry, reason) {
+  const i = spool.indexOf(entry);
+  if (i < 0) return;
+  spool.splice(i, 1);
+  try {
+    unlinkSync(join(EXPORT_SPOOL_DIR, entry.file));
+  } catch (error) {
+    if (error.code !== "ENOENT") writeLog("warn", `Failed to remove spooled batch ${entry.file}: ${error.message}`);
+  }
+  if (reason) {
+    spoolStatus.dropped[reason]++;
+    droppedThisOutage++;
+  }
+  updateStatus();
+}
+
+function spoolBatch(metrics) {
+  // The SDK's Resource keeps its attributes behind a getter, which JSON.stringify would skip
+  const data = JSON.stringify({ resource: { attributes: metrics.resource.attributes }, scopeMetrics: metrics.scopeMetrics }, encodeNumber);
+  const bytes = Buffer.byteLength(data);
+  if (bytes > EXPORT_SPOOL_MAX_BYTES) {
+    spoolStatus.dropped.full++;
+    droppedThisOutage++;
+    if (droppedThisOutage === 1) writeLog("warn", `Metric spool is full (${EXPORT_SPOOL_MAX_BYTES} bytes), dropping batches`);
+    return;
+  }
+  while (spool.length > 0 && spoolStatus.bytes + bytes > EXPORT_SPOOL_MAX_BYTES) {
+    if (droppedThisOutage === 0) writeLog("warn", `Metric spool is full (${EXPORT_SPOOL_MAX_BYTES} bytes), dropping the oldest batches`);
+    removeBatch(spool[0], "full");
+  }
+
+  const file = `${String(Date.now()).padStart(15, "0")}-${String(spoolSequence++ % 1e6).padStart(6, "0")}.json`;
+  try {
+    mkdirSync(EXPORT_SPOOL_DIR, { recursive: true });
+    writeFileSync(join(EXPORT_SPOOL_DIR, file), data);
+  } catch (error) {
+    writeLog("error", `Failed to spool metric batch to ${EXPORT_SPOOL_DIR}: ${error.message}`);
+    spoolStatus.dropped.error++;
+    droppedThisOutage++;
+    return;
+  }
+  spool.push({ file, bytes });
+  updateStatus();
+}
+
+function scheduleRetry() {
+  if (retryTimer || draining) return;
+  const delay = Math.min(EXPORT_INTERVAL * Math.pow(2, retryAttempts), EXPORT_RETRY_MAX_DELAY);
+  retryTimer = setTimeout(drainSpool, delay);
+  retryTimer.unref();
+}
+
+// Send spooled batches oldest first until one fails; the rest wait for the next retry
+async function drainSpool() {
+  retryTimer = null;
+  draining = true;
+  let sent = 0;
+  try {
+    while (spool.length > 0) {
+      const entry = spool[0];
+      let metrics;
+      try {
+        metrics = JSON.parse(readFileSync(join(EXPORT_SPOOL_DIR, entry.file), "utf8"), decodeNumber);
+      } catch (error) {
+        writeLog("warn", `Dropping unreadable spooled batch ${entry.file}: ${error.message}`);
+        removeBatch(entry, "error");
+        continue;
+      }
+
+      const result = await new Promise(resolve => spoolExporter.export(metrics, resolve));
+      if (result.code === ExportResultCode.SUCCESS) {
+        removeBatch(entry);
+        spoolStatus.replayed++;
+        sent++;
+      } else if (isRejected(result.error)) {
+        writeLog("warn", `Collector rejected spooled batch ${entry.file}, dropping it: ${result.error.message}`);
+        removeBatch(entry, "rejected");
+      } else {
+        retryAttempts++;
+        return;
+      }
+    }
+    writeLog("info", `Metric export recovered: sent ${sent} spooled batches${droppedThisOutage > 0 ? `, ${droppedThisOutage} dropped` : ""}`);
+    retryAttempts = 0;
+    droppedThisOutage = 0;
+  } finally {
+    draining = false;
+    if (spool.length > 0) scheduleRetry();
+  }
+}
+
+// Pick up batches left over from a previous run
+function loadSpool() {
+  let files;
+  try {
+    files = readdirSync(EXPORT_SPOOL_DIR).filter(file => file.endsWith(".json")).sort();
+  } catch (error) {
+    if (error.code !== "ENOENT") writeLog("warn", `Failed to read metric spool ${EXPORT_SPOOL_DIR}: ${error.message}`);
+    return;
+  }
+  for (const file of files) {
+    try {
+      spool.push({ file, bytes: statSync(join(EXPORT_SPOOL_DIR, file)).size });
+    } catch {}
+  }
+  updateStatus();
+  if (spool.length > 0) {
+    writeLog("info", `Found ${spool.length} spooled metric batches (${spoolStatus.bytes} bytes) from a previous run`);
+  }
+}
+
+// Wrap a push exporter so failed batches are spooled and replayed instead of lost. The reader
+// is told a queued batch succeeded, since it is safely on disk and will be sent in order.
+// With EXPORT_SPOOL_MAX_BYTES at 0 nothing new is spooled, but what is already there still drains.
+export function spoolExports(exporter) {
+  spoolExporter = exporter;
+  loadSpool();
+  if (spool.length > 0) scheduleRetry();
+
+  return {
+    export(metrics, resultCallback) {
+      if ((spool.length > 0 || draining) && EXPORT_SPOOL_MAX_BYTES > 0) {
+        spoolBatch(metrics);
+        scheduleRetry();
+        resultCallback({ code: ExportResultCode.SUCCESS });
+        return;
+      }
+      exporter.export(metrics, (result) => {
+        if (result.code !== ExportResultCode.SUCCESS && !isRejected(result.error) && EXPORT_SPOOL_MAX_BYTES > 0) {
+          writeLog("warn", `Metric export failed (${result.error?.message || "unknown"}), spooling batches to ${EXPORT_SPOOL_DIR}`);
+          spoolBatch(metrics);
+          scheduleRetry();
+        }
+        resultCallback(result);
+      });
+    },
+    forceFlush: () => exporter.forceFlush(),
+    shutdown: () => {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      return exporter.shutdown();
+    },
+    selectAggregationTemporality: (instrumentType) => exporter.selectAggregationTemporality(instrumentType),
+    selectAggregation: (instrumentType) => exporter.selectAggregation(instrumentType),
+  };
+}
@@ -0,0 +1,149 @@
+import { fetch } from "undici";
+import { SSE_IDLE_TIMEOUT } from "./config.js";
+import { logDebug } from "./log.js";
+import { eventsProcessedCounter, sseMalformedCounter } from "./telemetry.js";
+import { processEvent } from "./processing.js";
+
+// Read the /event stream until it ends. Throws on connection errors, and with
+// reason "idle" when nothing arrives within SSE_IDLE_TIMEOUT (e.g. a half-open TCP connection).
+export async function listenForEvents(target) {
+  const controller = new AbortController();
+  target.streamController = controller;
+  const headers = { ...target.headers, Accept: "text/event-stream" };
+  if (target.lastEventId) {
+    headers["Last-Event-ID"] = target.lastEventId;
+  }
+  
+  let idleTimer = null;
+  let idle = false;
+  const resetIdleTimer = () => {
+    if (SSE_IDLE_TIMEOUT <= 0) return;
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      idle = true;
+      controller.abort();
+    }, SSE_IDLE_TIMEOUT);
+  };
+  
+  const parser = createEventStreamParser({
+    onEvent: (event) => {
+      target.lastEventId = event.lastEventId;
+      handleStreamEvent(target, event);
+    },
+    onRetry: (ms) => {
+      target.retryDelay = ms;
+    },
+  });
+  
+  try {
+    resetIdleTimer();
+    const eventSource = await fetch(`${target.url}/event`, { headers, signal: controller.signal, dispatcher: target.dispatcher });
+    
+    if (!eventSource.ok) {
+      throw new Error(`Failed to connect to event stream: ${eventSource.status}`);
+    }
+    
+    const reader = eventSource.body.getReader();
+    const decoder = new TextDecoder();
+    target.sseConnected = true;
+    target.connectedAt = Date.now();
+    
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      // Any bytes at all, including comment heartbeats, prove the connection is alive
+      resetIdleTimer();
+      parser.push(decoder.decode(value, { stream: true }));
+    }
+  } catch (error) {
+    if (!idle) throw error;
+    const idleError = new Error(`No events or heartbeats received for ${SSE_IDLE_TIMEOUT}ms`);
+    idleError.reason = "idle";
+    throw idleError;
+  } finally {
+    clearTimeout(idleTimer);
+    if (target.sseConnected) target.disconnectedAt = Date.now();
+    target.sseConnected = false;
+    target.streamController = null;
+  }
+}
+
+function handleStreamEvent(target, event) {
+  let data;
+  try {
+    data = JSON.parse(event.data);
+  } catch (e) {
+    data = null;
+  }
+  if (!data || typeof data.type !== "string") {
+    sseMalformedCounter.add(1, { source: target.instance });
+    logDebug(target, `Malformed event: ${event.data.slice(0, 200)}`);
+    return;
+  }
+  target.lastEventAt = Date.now();
+  eventsProcessedCounter.add(1, { type: data.type, source: target.instance });
+  processEvent(target, data);
+}
+
+// Incremental text/event-stream parser following the WHATWG spec: CRLF/CR/LF line endings,
+// comments, multi-line data, event types, ids and retry hints
+export function createEventStreamParser({ onEvent, onRetry }) {
+  let buffer = "";
+  let started = false;
+  let data = [];
+  let hasData = false;
+  let eventType = "";
+  let lastEventId = "";
+  
+  function processLine(line) {
+    // A blank line dispatches the event collected so far
+    if (line === "") {
+      if (hasData) {
+        onEvent({ type: eventType || "message", data: data.join("\n"), lastEventId });
+      }
+      data = [];
+      hasData = false;
+      eventType = "";
+      return;
+    }
+    // Comment, typically used as a heartbeat
+    if (line.startsWith(":")) return;
+    
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? "" : line.slice(colon + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+    
+    switch (field) {
+      case "data":
+        data.push(value);
+        hasData = true;
+        break;
+      case "event":
+        eventType = value;
+        break;
+      case "id":
+        if (!value.includes("\0")) lastEventId = value;
+        break;
+      case "retry":
+        if (/^\d+$/.test(value)) onRetry(parseInt(value, 10));
+        break;
+      // Unknown fields are ignored
+    }
+  }
+  
+  return {
+    push(chunk) {
+      buffer += chunk;
+      if (!started && buffer.length > 0) {
+        started = true;
+        if (buffer.startsWith("\uFEFF")) buffer = buffer.slice(1);
+      }
+      // A trailing \r may be the first half of a \r\n split across chunks, so hold it back
+      const end = buffer.endsWith("\r") ? buffer.length - 1 : buffer.length;
+      const lines = buffer.slice(0, end).split(/\r\n|\r|\n/);
+      buffer = lines.pop() + buffer.slice(end);
+      lines.forEach(processLine);
+    },
+  };
+}
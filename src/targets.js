@@ -0,0 +1,108 @@
+import { Agent } from "undici";
+import { readFileSync } from "fs";
+import {
+  INSTANCE_ID,
+  OPENCODE_CA_FILE,
+  OPENCODE_HEADERS,
+  OPENCODE_PASSWORD,
+  OPENCODE_TOKEN,
+  OPENCODE_URL,
+  OPENCODE_USERNAME,
+  TARGETS_FILE,
+} from "./config.js";
+import { writeLog } from "./log.js";
+import { parseHeaderList, readPem } from "./otlp.js";
+
+// Track state - everything per OpenCode server lives on its target (see createTarget)
+export const recentErrors = []; // Array of {timestamp, type, message, instance}, bounded by MAX_ERRORS and ERROR_RETENTION
+
+// Targets - each OpenCode server gets its own connection loop, backoff, polling and state.
+// Its instance name is exported as the `source` attribute on every metric.
+export function createTarget({ url, instance, headers = {}, auth = {}, caFile = "" }) {
+  const authHeaders = {};
+  if (auth.token) {
+    authHeaders.Authorization = `Bearer ${auth.token}`;
+  } else if (auth.username) {
+    authHeaders.Authorization = `Basic ${Buffer.from(`${auth.username}:${auth.password || ""}`).toString("base64")}`;
+  }
+  
+  return {
+    url: url.replace(/\/+$/, ""),
+    instance,
+    headers: { ...authHeaders, ...headers },
+    // Only targets with a custom CA need their own connection pool
+    dispatcher: caFile ? new Agent({ connect: { ca: readPem(caFile, `CA file for ${instance}`) } }) : undefined,
+    isServiceRunning: 0, // Updated by connection attempts
+    reconnectAttempts: 0,
+    sseConnected: false,
+    connectedAt: 0, // When the event stream last connected
+    disconnectedAt: Date.now(), // When it last dropped; creation time until it first connects
+    lastEventAt: 0, // When the last event arrived
+    lastPollSuccess: 0, // When a poll cycle last completed
+    lastEventId: "", // Sent as Last-Event-ID so the stream can resume after a reconnect
+    retryDelay: 1000, // Server-suggested reconnect delay from the stream's retry field
+    pollInterval: null,
+    reconnectTimer: null,
+    streamController: null, // Aborts the open event stream (see disconnect)
+    stopped: false, // Set by disconnect; no more reconnects after that
+    polling: false, // Set while a poll cycle is running so slow cycles don't overlap
+    limiter: { active: 0, queue: [], nextSlot: 0 }, // Request concurrency/rate limiter state
+    bytesFetched: 0, // Response bytes read from OpenCode, for poll self-metrics
+    sessionLifecycle: new Map(), // id -> {start, lastActivity, messages, tokens, idle}
+    sessionMetadata: new Map(), // id -> {title, directory, slug, parentId}
+    messageAgents: new Map(), // messageId -> {agent, mode}, for tool parts (see rememberMessageAgent)
+    processedMessages: new Set(), // Lookup index over all checkpointed msgKeys
+    unscoped: new Set(), // msgKeys and "tool:" callIDs counted without a session id (see rememberUnscoped)
+    checkpoints: new Map(), // sessionId -> {updated (time.updated when last fully polled), lastMessageId, messages: Set of msgKeys, tools: Set of callIDs}
+    hasCheckpoint: false, // Set once history has been counted, by us or a previous run
+    sessionSpans: new Map(), // sessionId -> {span, ctx, lastEnd, lastActivity, messages: Set of messageIds}
+    messageSpans: new Map(), // messageId -> {span, ctx, ended, parts: Set of traced part ids}
+  };
+}
+
+function loadTargets() {
+  if (!TARGETS_FILE) {
+    return [createTarget({
+      url: OPENCODE_URL,
+      instance: INSTANCE_ID,
+      headers: parseHeaderList(OPENCODE_HEADERS),
+      auth: { username: OPENCODE_USERNAME, password: OPENCODE_PASSWORD, token: OPENCODE_TOKEN },
+      caFile: OPENCODE_CA_FILE,
+    })];
+  }
+
+  let list;
+  try {
+    list = JSON.parse(readFileSync(TARGETS_FILE, "utf8"));
+  } catch (error) {
+    writeLog("error", `Failed to load targets file ${TARGETS_FILE}: ${error.message}`);
+    process.exit(1);
+  }
+  if (!Array.isArray(list) || list.length === 0) {
+    writeLog("error", `Targets file ${TARGETS_FILE} must contain a non-empty array`);
+    process.exit(1);
+  }
+
+  const seen = new Set();
+  return list.map((entry, i) => {
+    if (!entry?.url) {
+      writeLog("error", `Target #${i + 1} in ${TARGETS_FILE} is missing "url"`);
+      process.exit(1);
+    }
+    const instance = entry.instance || new URL(entry.url).host;
+    if (seen.has(instance)) {
+      writeLog("error", `Duplicate target instance "${instance}" in ${TARGETS_FILE}`);
+      process.exit(1);
+    }
+    seen.add(instance);
+    return createTarget({
+      url: entry.url,
+      instance,
+      headers: entry.headers || {},
+      auth: entry.auth || {},
+      caFile: entry.caFile || "",
+    });
+  });
+}
+
+export const targets = loadTargets();
@@ -0,0 +1,374 @@
+import { ExportResultCode } from "@opentelemetry/core";
+import { MeterProvider, MetricReader, PeriodicExportingMetricReader } from "@opentelemetry/sdk-metrics";
+import { BasicTracerProvider, BatchSpanProcessor } from "@opentelemetry/sdk-trace-base";
+import { PrometheusExporter } from "@opentelemetry/exporter-prometheus";
+import { Resource } from "@opentelemetry/resources";
+import { ATTR_SERVICE_NAME, ATTR_SERVICE_VERSION } from "@opentelemetry/semantic-conventions";
+import {
+  ERROR_RETENTION,
+  EXPORT_INTERVAL,
+  INSTANCE_ID,
+  MESSAGE_DURATION_BUCKETS,
+  METRICS_EXPORTERS,
+  PROMETHEUS_HOST,
+  PROMETHEUS_PORT,
+  REPLAY_MODE,
+  SESSION_DURATION_BUCKETS,
+  TOOL_DURATION_BUCKETS,
+  TRACES_ENABLED,
+} from "./config.js";
+import { withExemplars } from "./exemplars.js";
+import { withPrivacy } from "./privacy.js";
+import { createMetricExporter, createTraceExporter } from "./otlp.js";
+import { spoolExports, spoolStatus } from "./spool.js";
+import { recentErrors, targets } from "./targets.js";
+
+// Set up OpenTelemetry
+export const resource = new Resource({
+  [ATTR_SERVICE_NAME]: "opencode",
+  [ATTR_SERVICE_VERSION]: "1.0.0",
+  "service.instance.id": INSTANCE_ID,
+});
+
+// Outcome of OTLP metric exports, for /healthz and self-metrics
+export const exportStatus = { lastSuccess: 0, lastFailure: 0, lastError: "" };
+
+// Wrap a push exporter to record the outcome of every export
+function trackExports(exporter) {
+  return {
+    export(metrics, resultCallback) {
+      exporter.export(metrics, (result) => {
+        if (result.code === ExportResultCode.SUCCESS) {
+          exportStatus.lastSuccess = Date.now();
+        } else {
+          exportStatus.lastFailure = Date.now();
+          exportStatus.lastError = result.error?.message || "unknown";
+          exportFailureCounter.add(1);
+        }
+        resultCallback(result);
+      });
+    },
+    forceFlush: () => exporter.forceFlush(),
+    shutdown: () => exporter.shutdown(),
+    selectAggregationTemporality: (instrumentType) => exporter.selectAggregationTemporality(instrumentType),
+    selectAggregation: (instrumentType) => exporter.selectAggregation(instrumentType),
+  };
+}
+
+// Both readers can run side by side - OTLP pushes, Prometheus serves /metrics for scraping
+const metricReaders = [];
+
+// Replay exports its own timestamped data points, so it runs without readers.
+// Batches the collector can't take are spooled to disk and sent once it is back (see spool.js),
+// with the exemplars they were exported with. The spool is always in the chain and checks
+// EXPORT_SPOOL_MAX_BYTES on every export, so a reload can turn it on or off.
+const spooling = METRICS_EXPORTERS.includes("otlp") && !REPLAY_MODE;
+if (spooling) {
+  const metricExporter = withExemplars(spoolExports(trackExports(createMetricExporter())));
+  metricReaders.push(
+    new PeriodicExportingMetricReader({
+      exporter: metricExporter,
+      exportIntervalMillis: EXPORT_INTERVAL,
+    })
+  );
+}
+
+if (METRICS_EXPORTERS.includes("prometheus") && !REPLAY_MODE) {
+  metricReaders.push(
+    new PrometheusExporter({
+      host: PROMETHEUS_HOST,
+      port: PROMETHEUS_PORT,
+    })
+  );
+}
+
+// Keeps nothing itself - the tests call collect() whenever they want to look
+class InMemoryMetricReader extends MetricReader {
+  async onForceFlush() {}
+  async onShutdown() {}
+}
+
+export const memoryReader = METRICS_EXPORTERS.includes("memory") ? new InMemoryMetricReader() : null;
+if (memoryReader) metricReaders.push(memoryReader);
+
+export const meterProvider = new MeterProvider({
+  resource,
+  readers: metricReaders,
+});
+
+export const meter = withPrivacy(meterProvider.getMeter("opencode-metrics"));
+
+// Optional tracing pipeline - one root span per session, child spans per message and tool call
+export let tracerProvider = null;
+if (TRACES_ENABLED && !REPLAY_MODE) {
+  tracerProvider = new BasicTracerProvider({ resource });
+  tracerProvider.addSpanProcessor(
+    new BatchSpanProcessor(createTraceExporter())
+  );
+}
+export const tracer = tracerProvider?.getTracer("opencode-traces");
+
+// Define metrics
+export const sessionCounter = meter.createCounter("opencode.session.count", {
+  description: "Count of OpenCode sessions",
+  unit: "1",
+});
+
+export const messageCounter = meter.createCounter("opencode.message.count", {
+  description: "Count of messages sent",
+  unit: "1",
+});
+
+export const tokenCounter = meter.createCounter("opencode.token.usage", {
+  description: "Number of tokens used",
+  unit: "tokens",
+});
+
+export const toolUseCounter = meter.createCounter("opencode.tool.usage", {
+  description: "Count of finished tool calls (by tool, status)",
+  unit: "1",
+});
+
+export const toolErrorCounter = meter.createCounter("opencode.tool.error.count", {
+  description: "Count of failed tool calls (by tool, error class)",
+  unit: "1",
+});
+
+export const costCounter = meter.createCounter("opencode.cost.usd", {
+  description: "Cost of model usage in US dollars",
+  unit: "USD",
+});
+
+export const messageDurationHistogram = meter.createHistogram("opencode.message.duration", {
+  description: "Time from an assistant message being created to it completing",
+  unit: "s",
+  advice: { explicitBucketBoundaries: MESSAGE_DURATION_BUCKETS },
+});
+
+export const toolDurationHistogram = meter.createHistogram("opencode.tool.duration", {
+  description: "Execution time of tool calls",
+  unit: "s",
+  advice: { explicitBucketBoundaries: TOOL_DURATION_BUCKETS },
+});
+
+export const errorCounter = meter.createCounter("opencode.error.count", {
+  description: "Count of errors",
+  unit: "1",
+});
+
+// Session lifecycle - active vs idle counts, and per-period histograms recorded when a session goes idle
+const activeSessionsGauge = meter.createObservableUpDownCounter("opencode.session.active", {
+  description: "Number of sessions with activity within the idle timeout",
+  unit: "1",
+});
+
+const idleSessionsGauge = meter.createObservableUpDownCounter("opencode.session.idle", {
+  description: "Number of known sessions with no activity within the idle timeout",
+  unit: "1",
+});
+
+meter.addBatchObservableCallback(
+  (batchObservableResult) => {
+    for (const target of targets) {
+      let active = 0;
+      for (const lifecycle of target.sessionLifecycle.values()) {
+        if (!lifecycle.idle) active++;
+      }
+      const source = { source: target.instance };
+      batchObservableResult.observe(activeSessionsGauge, active, source);
+      batchObservableResult.observe(idleSessionsGauge, target.sessionLifecycle.size - active, source);
+    }
+  },
+  [activeSessionsGauge, idleSessionsGauge]
+);
+
+export const sessionDurationHistogram = meter.createHistogram("opencode.session.duration", {
+  description: "Time from a session's start (or resumption) to its last activity before going idle",
+  unit: "s",
+  advice: { explicitBucketBoundaries: SESSION_DURATION_BUCKETS },
+});
+
+export const sessionMessagesHistogram = meter.createHistogram("opencode.session.messages", {
+  description: "Assistant messages per session activity period",
+  unit: "1",
+  advice: { explicitBucketBoundaries: [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000] },
+});
+
+export const sessionTokensHistogram = meter.createHistogram("opencode.session.tokens", {
+  description: "Tokens (all types) per session activity period",
+  unit: "tokens",
+  advice: { explicitBucketBoundaries: [1000, 10000, 50000, 100000, 250000, 500000, 1000000, 2500000, 5000000, 10000000] },
+});
+
+// Service status gauge - checks if opencode.service is running
+const serviceRunningGauge = meter.createObservableGauge("opencode.service.running", {
+  description: "Whether opencode.service is running (1=running, 0=not running)",
+  unit: "1",
+});
+
+// Register observable callback for service status - one series per target
+serviceRunningGauge.addCallback((observableResult) => {
+  for (const target of targets) {
+    observableResult.observe(target.isServiceRunning, { source: target.instance });
+  }
+});
+
+// Exporter self-metrics for the poller
+export const pollDurationHistogram = meter.createHistogram("opencode_exporter.poll.duration", {
+  description: "Duration of each session poll cycle",
+  unit: "s",
+  advice: { explicitBucketBoundaries: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120] },
+});
+
+export const pollBytesCounter = meter.createCounter("opencode_exporter.poll.bytes", {
+  description: "Response bytes fetched from OpenCode by the poller",
+  unit: "By",
+});
+
+export const pollSessionsCounter = meter.createCounter("opencode_exporter.poll.sessions", {
+  description: "Sessions considered by the poller (result=fetched|skipped|failed)",
+  unit: "1",
+});
+
+// Exporter self-metrics for the event stream
+export const sseMalformedCounter = meter.createCounter("opencode_exporter.sse.malformed", {
+  description: "Event stream events whose data could not be parsed",
+  unit: "1",
+});
+
+export const sseReconnectCounter = meter.createCounter("opencode_exporter.sse.reconnects", {
+  description: "Event stream reconnects (reason=ended|idle|error)",
+  unit: "1",
+});
+
+// Exporter self-metrics for overall health
+export const eventsProcessedCounter = meter.createCounter("opencode_exporter.events.processed", {
+  description: "Events received from the OpenCode event stream",
+  unit: "1",
+});
+
+export const pollFailureCounter = meter.createCounter("opencode_exporter.poll.failures", {
+  description: "Poll cycles that failed to list sessions",
+  unit: "1",
+});
+
+const exportFailureCounter = meter.createCounter("opencode_exporter.export.failures", {
+  description: "Failed OTLP metric exports",
+  unit: "1",
+});
+
+const spoolBatchesGauge = meter.createObservableGauge("opencode_exporter.spool.batches", {
+  description: "Metric batches waiting in the export spool for the collector",
+  unit: "1",
+});
+
+const spoolBytesGauge = meter.createObservableGauge("opencode_exporter.spool.bytes", {
+  description: "Size of the export spool on disk",
+  unit: "By",
+});
+
+const spoolReplayedCounter = meter.createObservableCounter("opencode_exporter.spool.replayed", {
+  description: "Spooled metric batches sent once the collector was reachable again",
+  unit: "1",
+});
+
+const spoolDroppedCounter = meter.createObservableCounter("opencode_exporter.spool.dropped", {
+  description: "Metric batches lost from the export spool (by reason: full, rejected, error)",
+  unit: "1",
+});
+
+if (spooling) {
+  meter.addBatchObservableCallback(
+    (batchObservableResult) => {
+      batchObservableResult.observe(spoolBatchesGauge, spoolStatus.batches);
+      batchObservableResult.observe(spoolBytesGauge, spoolStatus.bytes);
+      batchObservableResult.observe(spoolReplayedCounter, spoolStatus.replayed);
+      for (const [reason, count] of Object.entries(spoolStatus.dropped)) {
+        batchObservableResult.observe(spoolDroppedCounter, count, { reason });
+      }
+    },
+    [spoolBatchesGauge, spoolBytesGauge, spoolReplayedCounter, spoolDroppedCounter]
+  );
+}
+
+const sseConnectedGauge = meter.createObservableGauge("opencode_exporter.sse.connected", {
+  description: "Whether the event stream is connected (1=connected, 0=not connected)",
+  unit: "1",
+});
+
+const processedMessagesGauge = meter.createObservableGauge("opencode_exporter.processed_messages", {
+  description: "Number of message ids held in the dedupe checkpoint",
+  unit: "1",
+});
+
+const reconnectAttemptsGauge = meter.createObservableGauge("opencode_exporter.reconnect.attempts", {
+  description: "Consecutive failed connection attempts",
+  unit: "1",
+});
+
+meter.addBatchObservableCallback(
+  (batchObservableResult) => {
+    for (const target of targets) {
+      const source = { source: target.instance };
+      batchObservableResult.observe(sseConnectedGauge, target.sseConnected ? 1 : 0, source);
+      batchObservableResult.observe(processedMessagesGauge, target.processedMessages.size, source);
+      batchObservableResult.observe(reconnectAttemptsGauge, target.reconnectAttempts, source);
+    }
+  },
+  [sseConnectedGauge, processedMessagesGauge, reconnectAttemptsGauge]
+);
+
+// Per-session activity counter - increments when a session receives a message
+// Used for time-range aware session counting in Grafana
+export const sessionActivityCounter = meter.createCounter("opencode.session.activity", {
+  description: "Activity counter per session (increments on each message)",
+  unit: "1",
+});
+
+// Observable gauges for session and error info
+const sessionInfoGauge = meter.createObservableGauge("opencode.session.info", {
+  description: "Session information with metadata labels",
+  unit: "1",
+});
+
+const errorInfoGauge = meter.createObservableGauge("opencode.error.info", {
+  description: "Recent error information with details",
+  unit: "1",
+});
+
+// Use batch callback to report all sessions and errors together
+// Note: Don't use 'instance' as attribute name - it collides with resource attribute
+meter.addBatchObservableCallback(
+  (batchObservableResult) => {
+    // Report all sessions
+    for (const target of targets) {
+      for (const [id, meta] of target.sessionMetadata) {
+        batchObservableResult.observe(sessionInfoGauge, 1, {
+          session_id: id,
+          slug: meta.slug || "",
+          title: meta.title || "",
+          directory: meta.directory || "",
+          parent_id: meta.parentId || "",
+          source: target.instance,
+        });
+      }
+    }
+    
+    // Clean up old errors
+    const now = Date.now();
+    while (recentErrors.length > 0 && now - recentErrors[0].timestamp > ERROR_RETENTION) {
+      recentErrors.shift();
+    }
+    
+    // Report all errors
+    for (const error of recentErrors) {
+      batchObservableResult.observe(errorInfoGauge, 1, {
+        timestamp: new Date(error.timestamp).toISOString(),
+        type: error.type,
+        message: error.message.slice(0, 200),
+        source: error.instance,
+      });
+    }
+  },
+  [sessionInfoGauge, errorInfoGauge]
+);
@@ -0,0 +1,61 @@
+import { logNoisy } from "./log.js";
+import { toolDurationHistogram, toolErrorCounter, toolUseCounter } from "./telemetry.js";
+import { markToolCounted } from "./checkpoints.js";
+import { agentAttributes, scopeAttributes, toolAgent } from "./labels.js";
+import { traceToolPart } from "./tracing.js";
+import { archiveToolPart } from "./archive.js";
+
+// Tool calls - counts, durations and error classes
+function recordToolDuration(target, part) {
+  const state = part.state || {};
+  const { start, end } = state.time || {};
+  if (!start || !end || end < start) return;
+
+  toolDurationHistogram.record((end - start) / 1000, { tool: part.tool || "unknown", status: state.status, source: target.instance });
+}
+
+// Short, low-cardinality class for a tool error message
+const TOOL_ERROR_CLASSES = [
+  ["aborted", /abort|cancel|interrupt/i],
+  ["timeout", /time(d)?\s?out|ETIMEDOUT/i],
+  ["permission", /permission|denied|EACCES|EPERM|not allowed/i],
+  ["not_found", /not found|no such file|ENOENT|does not exist/i],
+  ["invalid_input", /invalid|validation|schema|expected|required/i],
+  ["exit_code", /exit(ed)? (with )?code|non-zero/i],
+  ["network", /ECONNREFUSED|ECONNRESET|ENOTFOUND|network|fetch failed/i],
+];
+
+export function classifyToolError(error) {
+  const text = typeof error === "string" ? error : error?.message || error?.name || "";
+  for (const [name, pattern] of TOOL_ERROR_CLASSES) {
+    if (pattern.test(text)) return name;
+  }
+  return "other";
+}
+
+// Single handler for OpenCode tool parts ({type: "tool", tool, callID, state: {status, error, time}}),
+// shared by SSE, polling and backfill. pending/running updates are ignored; each call is counted
+// exactly once, keyed by call ID, when it reaches completed or error. Returns true if it was counted.
+export function processToolPart(target, part, sessionId = part?.sessionID, { live = true } = {}) {
+  if (part?.type !== "tool") return false;
+  const status = part.state?.status;
+  if (status !== "completed" && status !== "error") return false;
+  const callId = part.callID || part.id;
+  if (!callId || !markToolCounted(target, sessionId, callId)) return false;
+  
+  const tool = part.tool || "unknown";
+  const scope = { ...agentAttributes(toolAgent(target, part)), ...scopeAttributes(target, sessionId) };
+  toolUseCounter.add(1, { tool, status, ...scope });
+  if (status === "error") {
+    toolErrorCounter.add(1, { tool, error_class: classifyToolError(part.state.error), ...scope });
+  }
+  archiveToolPart(target, part, sessionId);
+  
+  // Backfilled calls are only counted - their timings are too old to be useful
+  if (live) {
+    recordToolDuration(target, part);
+    traceToolPart(target, part, sessionId);
+    logNoisy(target, "tool", `Tool use: ${tool} (${status})`, { session_id: sessionId, tool, status });
+  }
+  return true;
+}
@@ -0,0 +1,171 @@
+import { context, SpanStatusCode, trace } from "@opentelemetry/api";
+import { TRACE_SESSION_IDLE } from "./config.js";
+import { tracer } from "./telemetry.js";
+import { targets } from "./targets.js";
+import { messageAgent } from "./labels.js";
+import { applyPrivacy, redact } from "./privacy.js";
+
+// Open trace spans live on the target (sessionSpans/messageSpans). Spans are started and ended
+// with OpenCode's own timestamps so the timeline matches what actually happened, not when we saw it.
+
+// The SDK treats numbers older than process start as performance.now() offsets, so pass Dates
+const spanTime = (ms) => new Date(ms);
+
+// Span attributes pass through the privacy policy under the metric label they correspond to,
+// so a policy for "title" also covers session.title; values the policy drops are left off
+const SPAN_LABELS = {
+  "session.id": "session_id",
+  "session.title": "title",
+  "session.directory": "directory",
+  "session.parent_id": "parent_id",
+  "gen_ai.request.model": "model",
+  "gen_ai.system": "provider",
+  "gen_ai.agent.name": "agent",
+  "tool.name": "tool",
+};
+
+function privateAttributes(attributes) {
+  const label = (key) => SPAN_LABELS[key] || key;
+  const applied = applyPrivacy(Object.fromEntries(Object.entries(attributes).map(([key, value]) => [label(key), value])));
+  return Object.fromEntries(Object.keys(attributes).filter(key => label(key) in applied).map(key => [key, applied[label(key)]]));
+}
+
+function getSessionSpan(target, sessionId, startTime) {
+  let entry = target.sessionSpans.get(sessionId);
+  if (!entry) {
+    const meta = target.sessionMetadata.get(sessionId) || {};
+    const span = tracer.startSpan("opencode.session", {
+      root: true,
+      startTime: spanTime(startTime),
+      attributes: privateAttributes({
+        "session.id": sessionId,
+        "session.slug": meta.slug || "",
+        "session.title": meta.title || "",
+        "session.directory": meta.directory || "",
+        "session.parent_id": meta.parentId || "",
+        source: target.instance,
+      }),
+    });
+    entry = {
+      span,
+      ctx: trace.setSpan(context.active(), span),
+      lastEnd: startTime,
+      lastActivity: Date.now(),
+      messages: new Set(),
+    };
+    target.sessionSpans.set(sessionId, entry);
+  }
+  entry.lastActivity = Date.now();
+  return entry;
+}
+
+function getMessageSpan(target, sessionId, messageId, startTime) {
+  let entry = target.messageSpans.get(messageId);
+  if (!entry) {
+    const session = getSessionSpan(target, sessionId, startTime);
+    const span = tracer.startSpan("opencode.message", {
+      startTime: spanTime(startTime),
+      attributes: privateAttributes({ "session.id": sessionId, "opencode.message.id": messageId }),
+    }, session.ctx);
+    entry = { span, ctx: trace.setSpan(context.active(), span), ended: false, parts: new Set() };
+    target.messageSpans.set(messageId, entry);
+    session.messages.add(messageId);
+  }
+  return entry;
+}
+
+function extendSession(target, sessionId, endTime) {
+  const session = target.sessionSpans.get(sessionId);
+  if (session && endTime > session.lastEnd) session.lastEnd = endTime;
+}
+
+// Called as soon as an assistant message is seen so its span starts at time.created
+export function traceMessageStart(target, info, sessionId) {
+  if (!tracer || !sessionId || !info.id) return;
+  getMessageSpan(target, sessionId, info.id, info.time?.created || Date.now());
+}
+
+// Called once per counted assistant message
+export function traceMessage(target, info, sessionId) {
+  if (!tracer || !sessionId || !info.id) return;
+  const entry = getMessageSpan(target, sessionId, info.id, info.time?.created || Date.now());
+  if (entry.ended) return;
+
+  const tokens = info.tokens || {};
+  entry.span.setAttributes(privateAttributes({
+    "gen_ai.request.model": info.modelID || "unknown",
+    "gen_ai.system": info.providerID || "unknown",
+    "gen_ai.agent.name": messageAgent(info).agent,
+    "gen_ai.usage.input_tokens": tokens.input || 0,
+    "gen_ai.usage.output_tokens": tokens.output || 0,
+    "opencode.tokens.reasoning": tokens.reasoning || 0,
+    "opencode.tokens.cache_read": tokens.cache?.read || 0,
+    "opencode.tokens.cache_write": tokens.cache?.write || 0,
+    "opencode.finish": info.finish || "",
+  }));
+  if (info.error) {
+    entry.span.setStatus({ code: SpanStatusCode.ERROR, message: redact("message", info.error.name || "error") });
+  }
+  const endTime = info.time?.completed || Date.now();
+  entry.span.end(spanTime(endTime));
+  entry.ended = true;
+  extendSession(target, sessionId, endTime);
+}
+
+// Trace context of a message's span, for the exemplars on its metrics
+export function messageSpanContext(target, messageId) {
+  return target.messageSpans.get(messageId)?.span.spanContext();
+}
+
+// Tool parts become grandchildren of the session, once they reach a final state
+export function traceToolPart(target, part, sessionId) {
+  if (!tracer || !sessionId || !part.messageID) return;
+  const state = part.state || {};
+
+  const startTime = state.time?.start || Date.now();
+  const message = getMessageSpan(target, sessionId, part.messageID, startTime);
+  const partId = part.id || part.callID;
+  if (message.parts.has(partId)) return;
+  message.parts.add(partId);
+
+  const span = tracer.startSpan(`opencode.tool ${part.tool || "unknown"}`, {
+    startTime: spanTime(startTime),
+    attributes: privateAttributes({
+      "tool.name": part.tool || "unknown",
+      "tool.call_id": part.callID || "",
+      "tool.state": state.status,
+    }),
+  }, message.ctx);
+  if (state.status === "error") {
+    span.setStatus({ code: SpanStatusCode.ERROR, message: redact("message", String(state.error || "error").slice(0, 200)) });
+  }
+  const endTime = state.time?.end || Date.now();
+  span.end(spanTime(endTime));
+  extendSession(target, sessionId, endTime);
+}
+
+// End a session's root span (and any message spans still open under it)
+export function endSessionSpan(target, sessionId) {
+  const session = target.sessionSpans.get(sessionId);
+  if (!session) return;
+  for (const messageId of session.messages) {
+    const message = target.messageSpans.get(messageId);
+    if (message && !message.ended) message.span.end(spanTime(session.lastEnd));
+    target.messageSpans.delete(messageId);
+  }
+  session.span.end(spanTime(session.lastEnd));
+  target.sessionSpans.delete(sessionId);
+}
+
+// Sessions have no explicit end, so close the root span once a session has gone quiet.
+// Activity after that starts a new trace for the same session.
+export function sweepIdleSessionSpans() {
+  const now = Date.now();
+  for (const target of targets) {
+    for (const [sessionId, session] of target.sessionSpans) {
+      if (now - session.lastActivity > TRACE_SESSION_IDLE) {
+        endSessionSpan(target, sessionId);
+      }
+    }
+  }
+}
@@ -0,0 +1,164 @@
+// Agent/mode attribution, and subagent sessions rolling up into the session that started them
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmdirSync, writeFileSync } from "fs";
+import { createServer } from "net";
+import { tmpdir } from "os";
+import { join } from "path";
+import { assistantMessage, session, startFakeOpenCode, toolPart } from "./fake-opencode.js";
+import { collectMetrics, eventCount, eventsHandled, loadExporter, sumOf } from "./helpers.js";
+
+// A port nothing is listening on, for the archive API
+const free = createServer().listen(0, "127.0.0.1");
+await new Promise(resolve => free.once("listening", resolve));
+const archivePort = free.address().port;
+await new Promise(resolve => free.close(resolve));
+
+const opencode = await startFakeOpenCode({ sessions: [session("ses_parent")] });
+const archiveDir = mkdtempSync(join(tmpdir(), "opencode-archive-"));
+const exporter = await loadExporter({
+  OPENCODE_URL: opencode.url,
+  LABEL_SESSION: "true",
+  ARCHIVE_DIR: archiveDir,
+  ARCHIVE_HOST: "127.0.0.1",
+  ARCHIVE_PORT: String(archivePort),
+});
+const target = exporter.targets[0];
+let archiveServer;
+
+async function deliver(...events) {
+  const since = await eventCount(exporter);
+  for (const [type, properties] of events) opencode.emit(type, properties);
+  await eventsHandled(exporter, since, events.length);
+}
+
+async function archive(path) {
+  const response = await fetch(`http://127.0.0.1:${archivePort}${path}`);
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+before(async () => {
+  archiveServer = exporter.startArchiveServer();
+  exporter.connectAndListen(target);
+  await opencode.waitForConnections(1);
+  await eventsHandled(exporter, 0, 1);
+});
+
+after(async () => {
+  exporter.disconnect(target);
+  archiveServer.close();
+  await opencode.close();
+});
+
+test("messages, tokens and cost are labelled with the agent and mode that produced them", async () => {
+  await deliver(
+    ["message.updated", { info: assistantMessage("msg_plan", "ses_parent", { agent: "plan", cost: 0.25 }) }],
+    ["message.updated", { info: assistantMessage("msg_old", "ses_parent", { agent: null, mode: "build" }) }],
+  );
+
+  const points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode.message.count", { agent: "plan", mode: "plan", session_id: "ses_parent" }), 1);
+  assert.equal(sumOf(points, "opencode.token.usage", { type: "output", agent: "plan" }), 50);
+  assert.equal(sumOf(points, "opencode.cost.usd", { agent: "plan" }), 0.25);
+  // Only mode: older OpenCode versions
+  assert.equal(sumOf(points, "opencode.message.count", { agent: "build", mode: "build" }), 1);
+});
+
+test("subagent sessions are linked to their parent and carry its root session", async () => {
+  const child = session("ses_child", { parentID: "ses_parent" });
+  const grandchild = session("ses_grandchild", { parentID: "ses_child" });
+  opencode.sessions.push(child, grandchild);
+  await deliver(
+    ["session.created", { info: child }],
+    ["session.created", { info: grandchild }],
+    ["message.updated", { info: assistantMessage("msg_child", "ses_child", { agent: "general", cost: 0.25 }) }],
+    ["message.updated", { info: assistantMessage("msg_grandchild", "ses_grandchild", { agent: "general", cost: 0.5 }) }],
+  );
+
+  const points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode.message.count", { session_id: "ses_child", root_session_id: "ses_parent", agent: "general" }), 1);
+  assert.equal(sumOf(points, "opencode.message.count", { session_id: "ses_grandchild", root_session_id: "ses_parent" }), 1);
+  assert.equal(sumOf(points, "opencode.cost.usd", { root_session_id: "ses_parent" }), 1);
+  assert.equal(sumOf(points, "opencode.session.info", { session_id: "ses_grandchild", parent_id: "ses_child" }), 1);
+  assert.equal(sumOf(points, "opencode.session.info", { session_id: "ses_parent", parent_id: "" }), 1);
+});
+
+test("tool calls take the agent of the message that made them", async () => {
+  const running = assistantMessage("msg_task", "ses_child", { agent: "general", finish: null });
+  await deliver(
+    ["message.updated", { info: running }],
+    ["message.part.updated", { part: toolPart("call_task", "ses_child", "msg_task", { tool: "grep", status: "error", error: "permission denied" }) }],
+    ["message.part.updated", { part: toolPart("call_orphan", "ses_child", "msg_unknown", { tool: "read" }) }],
+  );
+
+  const points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode.tool.usage", { tool: "grep", agent: "general", mode: "general", root_session_id: "ses_parent" }), 1);
+  assert.equal(sumOf(points, "opencode.tool.error.count", { tool: "grep", agent: "general", error_class: "permission" }), 1);
+  assert.equal(sumOf(points, "opencode.tool.usage", { tool: "read", agent: "unknown" }), 1);
+});
+
+test("the archive API rolls subagent totals up into their parent", async () => {
+  const { sessions: [parent] } = await archive("/sessions/ses_parent");
+  assert.deepEqual(parent.subagents, ["ses_child"]);
+  assert.deepEqual(parent.agents, { plan: 1, build: 1 });
+  assert.equal(parent.message_count, 2);
+  assert.equal(parent.with_subagents.message_count, 4);
+  assert.equal(parent.with_subagents.tokens.output, 200);
+  assert.equal(parent.with_subagents.tool_calls, 2);
+  assert.equal(parent.with_subagents.cost, 1);
+  assert.equal(parent.messages.length, 2);
+
+  const { sessions: [child] } = await archive("/sessions/ses_child");
+  assert.equal(child.parent_id, "ses_parent");
+  assert.deepEqual(child.subagents, ["ses_grandchild"]);
+  assert.equal(child.with_subagents.message_count, 2);
+
+  // Ranked on their own, the grandchild costs the most; rolled up, the parent does and stands alone
+  const own = await archive("/top?by=cost");
+  assert.equal(own.sessions[0].session_id, "ses_grandchild");
+  const rolledUp = await archive("/top?by=cost&rollup=true");
+  assert.deepEqual(rolledUp.sessions.map(s => s.session_id), ["ses_parent"]);
+});
+
+test("a day file that can't be pruned is skipped and the rest are still deleted", () => {
+  mkdirSync(join(archiveDir, "events-2000-01-01.jsonl")); // unlink fails on a directory
+  writeFileSync(join(archiveDir, "events-2000-01-02.jsonl"), "");
+  exporter.pruneArchive();
+  assert.ok(existsSync(join(archiveDir, "events-2000-01-01.jsonl")));
+  assert.ok(!existsSync(join(archiveDir, "events-2000-01-02.jsonl")));
+});
+
+test("records whose day file can't be written stay buffered until it can", async () => {
+  const time = Date.now() - 2 * 86400000;
+  const dayFile = join(archiveDir, `events-${new Date(time).toISOString().slice(0, 10)}.jsonl`);
+  mkdirSync(dayFile); // appending fails on a directory
+  await deliver(["message.updated", { info: assistantMessage("msg_unwritten", "ses_parent", { time }) }]);
+  exporter.flushArchive();
+
+  rmdirSync(dayFile);
+  exporter.flushArchive();
+  const records = readFileSync(dayFile, "utf8").trim().split("\n").map(line => JSON.parse(line));
+  assert.deepEqual(records.map(record => record.message_id), ["msg_unwritten"]);
+});
+
+test("LABEL_ROOT_SESSION rolls subagents up without per-session labels, and agent and mode are capped separately", async () => {
+  const config = await import("../src/config.js");
+  Object.assign(process.env, { LABEL_SESSION: "false", LABEL_ROOT_SESSION: "true", MAX_AGENTS: "5" });
+  config.reloadConfig();
+  try {
+    // plan, build, general and unknown are already taken, as agents and as modes
+    await deliver(["message.updated", { info: assistantMessage("msg_rollup", "ses_grandchild", { agent: "explore", mode: "subagent" }) }]);
+    const points = await collectMetrics(exporter);
+    const rolledUp = points.filter(p => p.name === "opencode.message.count" && p.attributes.agent === "explore");
+    assert.equal(rolledUp.length, 1);
+    assert.equal(rolledUp[0].attributes.root_session_id, "ses_parent");
+    assert.equal(rolledUp[0].attributes.mode, "subagent");
+    assert.ok(!("session_id" in rolledUp[0].attributes));
+  } finally {
+    Object.assign(process.env, { LABEL_SESSION: "true" });
+    delete process.env.LABEL_ROOT_SESSION;
+    delete process.env.MAX_AGENTS;
+    config.reloadConfig();
+  }
+});
@@ -0,0 +1,85 @@
+// Budget notifications are counted as sent only once a webhook has accepted them
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, writeFileSync } from "fs";
+import { createServer } from "http";
+import { tmpdir } from "os";
+import { join } from "path";
+import { assistantMessage, session, startFakeOpenCode } from "./fake-opencode.js";
+import { collectMetrics, eventCount, eventsHandled, loadExporter, sumOf, waitFor } from "./helpers.js";
+
+// Alerts to "/" are accepted; those to "/failing" wait in `held` until the test fails them
+const alerts = [];
+const held = [];
+const webhook = createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => body += chunk);
+  req.on("end", () => {
+    if (req.url === "/failing") return held.push(res);
+    alerts.push(JSON.parse(body));
+    res.writeHead(204).end();
+  });
+});
+await new Promise(resolve => webhook.listen(0, "127.0.0.1", resolve));
+
+const budgetFile = join(mkdtempSync(join(tmpdir(), "opencode-budgets-")), "budgets.json");
+writeFileSync(budgetFile, JSON.stringify({
+  rules: [
+    { name: "hooked", measure: "tokens", window: "day", limit: 100, webhook: `http://127.0.0.1:${webhook.address().port}/` },
+    { name: "silent", measure: "tokens", window: "day", limit: 100 },
+    { name: "failing", measure: "tokens", window: "day", limit: 200, webhook: `http://127.0.0.1:${webhook.address().port}/failing` },
+  ],
+}));
+
+const opencode = await startFakeOpenCode({ sessions: [session("ses_1")] });
+const exporter = await loadExporter({ OPENCODE_URL: opencode.url, BUDGET_FILE: budgetFile });
+const stateFile = process.env.STATE_FILE;
+const { loadBudgets } = await import("../src/budgets.js");
+loadBudgets();
+const target = exporter.targets[0];
+
+before(async () => {
+  exporter.connectAndListen(target);
+  await opencode.waitForConnections(1);
+  await eventsHandled(exporter, 0, 1);
+});
+
+after(async () => {
+  exporter.disconnect(target);
+  await opencode.close();
+  webhook.close();
+});
+
+test("a rule without a webhook records no notification", async () => {
+  const since = await eventCount(exporter);
+  opencode.emit("message.updated", { info: assistantMessage("msg_1", "ses_1") });
+  await eventsHandled(exporter, since, 1);
+  await waitFor(() => alerts.length === 1, { message: "webhook alert" });
+  assert.equal(alerts[0].rule, "hooked");
+
+  await waitFor(async () => sumOf(await collectMetrics(exporter), "opencode_exporter.budget.notifications", { rule: "hooked" }) === 1, {
+    message: "sent notification",
+  });
+  const points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode_exporter.budget.notifications", { rule: "hooked", result: "sent" }), 1);
+  assert.equal(sumOf(points, "opencode_exporter.budget.notifications", { rule: "silent" }), 0);
+});
+
+test("a failed webhook leaves the threshold un-notified in the saved checkpoint", async () => {
+  const since = await eventCount(exporter);
+  opencode.emit("message.updated", { info: assistantMessage("msg_2", "ses_1") });
+  await eventsHandled(exporter, since, 1);
+  await waitFor(() => held.length === 1, { message: "webhook call" });
+
+  // Saved while the call is in flight, the threshold counts as notified
+  exporter.saveCheckpoints();
+  const notified = () => Object.values(JSON.parse(readFileSync(stateFile, "utf8")).budgets.failing)[0].notified;
+  assert.deepEqual(notified(), [1]);
+
+  held.pop().writeHead(500).end();
+  await waitFor(async () => sumOf(await collectMetrics(exporter), "opencode_exporter.budget.notifications", { rule: "failing", result: "failed" }) === 1, {
+    message: "failed notification",
+  });
+  exporter.saveCheckpoints();
+  assert.deepEqual(notified(), []);
+});
@@ -0,0 +1,116 @@
+// CONFIG_FILE: YAML settings under environment overrides, validation, and reloads that keep counted state
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { mkdtempSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { assistantMessage, session, startFakeOpenCode } from "./fake-opencode.js";
+import { collectMetrics, eventCount, eventsHandled, loadExporter, sumOf } from "./helpers.js";
+
+const dir = mkdtempSync(join(tmpdir(), "opencode-config-"));
+const configFile = join(dir, "exporter.yaml");
+writeFileSync(configFile, [
+  "poll_concurrency: 2",
+  "max_errors: 5",
+  "POLL_INTERVAL: 45000 # loadExporter sets it in the environment, which wins",
+  "project_deny:",
+  "  - /tmp/**",
+].join("\n"));
+
+const opencode = await startFakeOpenCode({ sessions: [session("ses_1")] });
+const exporter = await loadExporter({ OPENCODE_URL: opencode.url, CONFIG_FILE: configFile });
+const config = await import("../src/config.js");
+const target = exporter.targets[0];
+
+async function deliver(...events) {
+  const since = await eventCount(exporter);
+  for (const [type, properties] of events) opencode.emit(type, properties);
+  await eventsHandled(exporter, since, events.length);
+}
+
+before(async () => {
+  exporter.connectAndListen(target);
+  await opencode.waitForConnections(1);
+  await eventsHandled(exporter, 0, 1);
+});
+
+after(async () => {
+  exporter.disconnect(target);
+  await opencode.close();
+});
+
+test("the file fills in settings and the environment overrides it", () => {
+  assert.equal(config.POLL_CONCURRENCY, 2);
+  assert.equal(config.MAX_ERRORS, 5);
+  assert.deepEqual(config.PROJECT_DENY, ["/tmp/**"]);
+  assert.equal(config.POLL_INTERVAL, 600000);
+  assert.equal(config.LABEL_SESSION, false);
+});
+
+test("a reload applies label and limit changes in place without losing counted state", async () => {
+  await deliver(["message.updated", { info: assistantMessage("msg_1", "ses_1") }]);
+
+  writeFileSync(configFile, "poll_concurrency: 2\nlabel_session: true\nmax_errors: 1\nexport_interval: 1000\n");
+  const { changed, restart } = config.reloadConfig();
+  assert.deepEqual(changed.sort(), ["LABEL_SESSION", "MAX_ERRORS", "PROJECT_DENY"]);
+  assert.deepEqual(restart, ["EXPORT_INTERVAL"]);
+  assert.equal(config.LABEL_SESSION, true);
+  assert.equal(config.EXPORT_INTERVAL, 10000);
+  // A restart-only change still pending is reported once, and again only if it changes
+  assert.deepEqual(config.reloadConfig(), { changed: [], restart: [] });
+  writeFileSync(configFile, "poll_concurrency: 2\nlabel_session: true\nmax_errors: 1\nexport_interval: 2000\n");
+  assert.deepEqual(config.reloadConfig().restart, ["EXPORT_INTERVAL"]);
+
+  await deliver(["message.updated", { info: assistantMessage("msg_2", "ses_1") }]);
+  const points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode.message.count"), 2);
+  assert.equal(sumOf(points, "opencode.message.count", { session_id: "ses_1" }), 1);
+});
+
+test("an invalid file is rejected on reload with every problem, and the current settings stay", () => {
+  writeFileSync(configFile, "max_errors: lots\nlabel_session: maybe\nmystery: 1\n");
+  assert.throws(() => config.reloadConfig(), error => {
+    assert.match(error.message, /unknown setting "mystery"/);
+    assert.match(error.message, /max_errors must be an integer, got "lots"/);
+    assert.match(error.message, /label_session must be true or false/);
+    return true;
+  });
+  assert.equal(config.MAX_ERRORS, 1);
+  assert.equal(config.LABEL_SESSION, true);
+});
+
+test("a reload rebuilds the privacy policy, and an invalid privacy file keeps the current one", async () => {
+  const { applyPrivacy, reloadPrivacyPolicy } = await import("../src/privacy.js");
+  assert.equal(applyPrivacy({ title: "Acme" }).title, "Acme");
+
+  writeFileSync(configFile, "poll_concurrency: 2\nlabel_session: true\nmax_errors: 1\nredact_fields: [title]\n");
+  assert.deepEqual(config.reloadConfig().changed.sort(), ["REDACT_FIELDS"]);
+  reloadPrivacyPolicy();
+  assert.match(applyPrivacy({ title: "Acme" }).title, /^sha256:[0-9a-f]{12}$/);
+
+  const privacyFile = join(dir, "privacy.json");
+  writeFileSync(privacyFile, JSON.stringify({ fields: { title: ["shout"] } }));
+  writeFileSync(configFile, `poll_concurrency: 2\nlabel_session: true\nmax_errors: 1\nredact_fields: [title]\nprivacy_file: ${privacyFile}\n`);
+  assert.deepEqual(config.reloadConfig().changed, ["PRIVACY_FILE"]);
+  assert.throws(() => reloadPrivacyPolicy(), /title: unknown step "shout"/);
+  assert.match(applyPrivacy({ title: "Acme" }).title, /^sha256:[0-9a-f]{12}$/);
+
+  writeFileSync(configFile, "poll_concurrency: 2\nlabel_session: true\nmax_errors: 1\nlog_rate_limit: -1\n");
+  assert.throws(() => config.reloadConfig(), /log_rate_limit must be at least 0, got -1/);
+});
+
+test("an invalid configuration at startup exits with a clear error", () => {
+  const badFile = join(dir, "bad.json");
+  writeFileSync(badFile, JSON.stringify({ poll_interval: -1, otel_metrics_exporter: "otlp,statsd" }));
+  const result = spawnSync(process.execPath, ["--input-type=module", "-e", `await import(${JSON.stringify(new URL("../src/config.js", import.meta.url).href)})`], {
+    env: { ...process.env, CONFIG_FILE: badFile, OTEL_EXPORTER_OTLP_PROTOCOL: "udp" },
+    encoding: "utf8",
+    timeout: 10000,
+  });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /^Invalid configuration:/);
+  assert.match(result.stderr, /poll_interval must be at least 1, got -1/);
+  assert.match(result.stderr, /otel_metrics_exporter has unknown entry "statsd"/);
+  assert.match(result.stderr, /OTEL_EXPORTER_OTLP_PROTOCOL must be one of grpc, http\/protobuf, http\/json, got "udp"/);
+});
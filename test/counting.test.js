@@ -0,0 +1,150 @@
+// When messages and tool calls are counted: the finish check, msgKey/callID dedupe, and the
+// overlap between the event stream and polling
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { assistantMessage, session, startFakeOpenCode, toolPart } from "./fake-opencode.js";
+import { collectMetrics, eventCount, eventsHandled, loadExporter, sumOf } from "./helpers.js";
+
+const opencode = await startFakeOpenCode({ sessions: [session("ses_old")] });
+opencode.putMessage(
+  assistantMessage("msg_old", "ses_old", { tokens: { input: 10, output: 5, reasoning: 3, cache: { read: 2, write: 1 } }, cost: 0.5 }),
+  [toolPart("call_old", "ses_old", "msg_old")]
+);
+const exporter = await loadExporter({ OPENCODE_URL: opencode.url });
+const target = exporter.targets[0];
+
+// Deliver events over the stream and wait until the exporter has handled them
+async function deliver(...events) {
+  const since = await eventCount(exporter);
+  for (const [type, properties] of events) opencode.emit(type, properties);
+  await eventsHandled(exporter, since, events.length);
+}
+
+before(async () => {
+  exporter.connectAndListen(target);
+  await opencode.waitForConnections(1);
+  await eventsHandled(exporter, 0, 1); // server.connected
+});
+
+after(async () => {
+  exporter.disconnect(target);
+  await opencode.close();
+});
+
+test("history found on the first run is backfilled once under the historical model", async () => {
+  const points = await collectMetrics(exporter);
+  const historical = { model: "historical", provider: "historical", source: "test" };
+  assert.equal(sumOf(points, "opencode.message.count", { role: "backfill", ...historical }), 1);
+  assert.equal(sumOf(points, "opencode.token.usage", { type: "input", ...historical }), 10);
+  assert.equal(sumOf(points, "opencode.token.usage", { type: "output", ...historical }), 5);
+  assert.equal(sumOf(points, "opencode.token.usage", { type: "cacheRead", ...historical }), 2);
+  assert.equal(sumOf(points, "opencode.token.usage", { type: "cacheCreation", ...historical }), 1);
+  assert.equal(sumOf(points, "opencode.token.usage", { type: "reasoning", ...historical }), 3);
+  assert.equal(sumOf(points, "opencode.cost.usd", historical), 0.5);
+  assert.equal(sumOf(points, "opencode.message.count", { role: "backfill", agent: "build", mode: "build", ...historical }), 1);
+  assert.equal(sumOf(points, "opencode.token.usage", { type: "input", agent: "build", mode: "build", ...historical }), 10);
+  assert.equal(sumOf(points, "opencode.tool.usage", { tool: "bash", status: "completed" }), 1);
+  assert.equal(sumOf(points, "opencode.session.count"), 1);
+
+  // Polling the same history again adds nothing
+  await exporter.pollSessions(target);
+  assert.deepEqual(await collectMetrics(exporter).then(p => p.filter(x => x.name.startsWith("opencode."))),
+    points.filter(x => x.name.startsWith("opencode.")));
+});
+
+test("an assistant message counts once it finishes, with its real model labels", async () => {
+  opencode.sessions.push(session("ses_live"));
+  const tokens = { input: 100, output: 50, reasoning: 7, cache: { read: 20, write: 30 } };
+  const running = assistantMessage("msg_live", "ses_live", { tokens: { input: 100, output: 10 }, finish: null });
+  await deliver(["session.created", { info: opencode.sessions.at(-1) }], ["message.updated", { info: running }]);
+
+  const live = { model: "claude-sonnet-4-20250514", provider: "anthropic", source: "test" };
+  let points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode.message.count", live), 0);
+  assert.equal(sumOf(points, "opencode.session.count"), 2);
+
+  await deliver(["message.updated", { info: assistantMessage("msg_live", "ses_live", { tokens, cost: 0.25 }) }]);
+  points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode.message.count", {
+    role: "assistant",
+    model_family: "claude-sonnet",
+    vendor: "anthropic",
+    ...live,
+  }), 1);
+  assert.equal(sumOf(points, "opencode.token.usage", { type: "input", ...live }), 100);
+  assert.equal(sumOf(points, "opencode.token.usage", { type: "output", ...live }), 50);
+  assert.equal(sumOf(points, "opencode.token.usage", { type: "reasoning", ...live }), 7);
+  assert.equal(sumOf(points, "opencode.token.usage", { type: "cacheRead", ...live }), 20);
+  assert.equal(sumOf(points, "opencode.token.usage", { type: "cacheCreation", ...live }), 30);
+  assert.equal(sumOf(points, "opencode.cost.usd", live), 0.25);
+});
+
+test("duplicate deliveries over the stream and the poller count a message once", async () => {
+  const info = assistantMessage("msg_dup", "ses_live", { modelID: "gpt-4o", providerID: "openai" });
+  await deliver(["message.updated", { info }], ["message.updated", { info }], ["message.created", info]);
+
+  // The poller later finds the same message in the session's history
+  opencode.putMessage(info);
+  await exporter.pollSessions(target);
+
+  const points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode.message.count", { model: "gpt-4o" }), 1);
+  assert.equal(sumOf(points, "opencode.token.usage", { type: "input", model: "gpt-4o" }), 100);
+});
+
+test("a message seen by the poller first is not counted again when its event arrives", async () => {
+  const info = assistantMessage("msg_polled", "ses_live", { modelID: "gemini-2.5-pro", providerID: "google" });
+  opencode.putMessage(info);
+  await exporter.pollSessions(target);
+  await deliver(["message.updated", { info }]);
+
+  const points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode.message.count", { model: "gemini-2.5-pro", model_family: "gemini-2.5" }), 1);
+});
+
+test("unfinished messages in a polled session are left for a later pass", async () => {
+  const running = assistantMessage("msg_slow", "ses_live", { modelID: "o3", providerID: "openai", finish: null });
+  opencode.putMessage(running);
+  const { time } = opencode.sessions.find(s => s.id === "ses_live");
+  const updated = time.updated;
+  await exporter.pollSessions(target);
+  let points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode.message.count", { model: "o3" }), 0);
+
+  // Same time.updated as the last pass: the session would be skipped if it had been marked done
+  opencode.putMessage({ ...running, finish: "stop", time: { ...running.time, completed: Date.now() } });
+  time.updated = updated;
+  await exporter.pollSessions(target);
+  points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode.message.count", { model: "o3" }), 1);
+});
+
+test("a tool call counts once when it reaches a final state", async () => {
+  const part = (status, error) => ({ part: toolPart("call_live", "ses_live", "msg_live", { tool: "edit", status, error }) });
+  await deliver(
+    ["message.part.updated", part("pending")],
+    ["message.part.updated", part("running")],
+    ["message.part.updated", part("error", "File not found: src/x.js")],
+    ["message.part.updated", part("error", "File not found: src/x.js")],
+  );
+
+  // The poller sees the same part on its message
+  opencode.putMessage(assistantMessage("msg_live", "ses_live"), [part("error", "File not found: src/x.js").part]);
+  await exporter.pollSessions(target);
+
+  const points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode.tool.usage", { tool: "edit", status: "error" }), 1);
+  assert.equal(sumOf(points, "opencode.tool.error.count", { tool: "edit", error_class: "not_found" }), 1);
+  assert.equal(sumOf(points, "opencode.tool.usage", { tool: "edit", status: "running" }), 0);
+});
+
+test("messages that never reach the event stream are picked up by polling", async () => {
+  opencode.sessions.push(session("ses_quiet"));
+  opencode.putMessage(assistantMessage("msg_quiet", "ses_quiet", { modelID: "claude-opus-4-1", tokens: { input: 3, output: 4 } }));
+  await exporter.pollSessions(target);
+
+  const points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode.session.count"), 3);
+  assert.equal(sumOf(points, "opencode.token.usage", { type: "output", model: "claude-opus-4-1", model_family: "claude-opus" }), 4);
+  assert.equal(sumOf(points, "opencode_exporter.poll.sessions", { result: "fetched" }) > 0, true);
+});
@@ -0,0 +1,117 @@
+// Live OTLP message and token points carry an exemplar naming the message behind them
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import root from "@opentelemetry/otlp-transformer/build/src/generated/root.js";
+import { OTLPMetricExporter as OTLPMetricExporterGrpc } from "@opentelemetry/exporter-metrics-otlp-grpc";
+import { OTLPMetricExporter as OTLPMetricExporterHttp } from "@opentelemetry/exporter-metrics-otlp-http";
+import { OTLPMetricExporter as OTLPMetricExporterProto } from "@opentelemetry/exporter-metrics-otlp-proto";
+import { assistantMessage, session, startFakeOpenCode } from "./fake-opencode.js";
+import { eventCount, eventsHandled, loadExporter, waitFor } from "./helpers.js";
+
+// A fake OTLP/HTTP collector keeping every request it gets
+const received = [];
+const server = createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => body += chunk);
+  req.on("end", () => {
+    received.push(JSON.parse(body));
+    res.writeHead(200, { "Content-Type": "application/json" }).end("{}");
+  });
+});
+await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+const opencode = await startFakeOpenCode({ sessions: [session("ses_1")] });
+const exporter = await loadExporter({
+  OPENCODE_URL: opencode.url,
+  OTEL_METRICS_EXPORTER: "otlp,memory",
+  OTEL_EXPORTER_OTLP_PROTOCOL: "http/json",
+  OTEL_EXPORTER_OTLP_METRICS_ENDPOINT: `http://127.0.0.1:${server.address().port}/v1/metrics`,
+  OTEL_EXPORTER_OTLP_METRICS_TEMPORALITY_PREFERENCE: "delta",
+  OTEL_TRACES_EXPORTER: "otlp",
+  OTEL_EXPORTER_OTLP_TRACES_ENDPOINT: "http://127.0.0.1:1", // Never reached: only the span ids matter
+  EXPORT_INTERVAL: "50",
+  EXPORT_SPOOL_MAX_BYTES: "0",
+});
+const { exemplarSerializer } = await import("../src/exemplars.js");
+const { extendSerializer } = await import("../src/otlp.js");
+const target = exporter.targets[0];
+
+before(async () => {
+  exporter.connectAndListen(target);
+  await opencode.waitForConnections(1);
+  await eventsHandled(exporter, 0, 1);
+});
+
+after(async () => {
+  exporter.disconnect(target);
+  await opencode.close();
+  await exporter.meterProvider.shutdown();
+  server.close();
+});
+
+// Data points of one metric across everything the collector got
+function receivedPoints(name) {
+  return received
+    .flatMap(request => request.resourceMetrics.flatMap(r => r.scopeMetrics))
+    .flatMap(scope => scope.metrics.filter(m => m.name === name))
+    .flatMap(metric => metric.sum.dataPoints);
+}
+
+const exemplarLabels = (exemplar) => Object.fromEntries(exemplar.filteredAttributes.map(a => [a.key, a.value.stringValue]));
+
+test("message and token points name the last message counted in them", async () => {
+  const since = await eventCount(exporter);
+  opencode.emit("message.updated", { info: assistantMessage("msg_1", "ses_1") });
+  opencode.emit("message.updated", { info: assistantMessage("msg_2", "ses_1") });
+  await eventsHandled(exporter, since, 2);
+  const exemplarIds = () => receivedPoints("opencode.message.count")
+    .filter(p => p.exemplars)
+    .map(p => exemplarLabels(p.exemplars[0]).message_id);
+  await waitFor(() => exemplarIds().includes("msg_2"), { message: "exported exemplars" });
+
+  // The two messages may land in one export or two; the last point names the last message
+  const message = receivedPoints("opencode.message.count").filter(p => p.exemplars).pop();
+  assert.equal(message.exemplars.length, 1);
+  assert.deepEqual(exemplarLabels(message.exemplars[0]), { session_id: "ses_1", message_id: "msg_2" });
+  assert.match(message.exemplars[0].traceId, /^[0-9a-f]{32}$/);
+  assert.match(message.exemplars[0].spanId, /^[0-9a-f]{16}$/);
+
+  const tokens = receivedPoints("opencode.token.usage").filter(p => p.exemplars?.some(e => exemplarLabels(e).message_id === "msg_2"));
+  const types = tokens.map(p => p.attributes.find(a => a.key === "type").value.stringValue).sort();
+  assert.deepEqual(types, ["input", "output"]);
+  for (const point of tokens) {
+    assert.equal(point.exemplars[0].traceId, message.exemplars[0].traceId);
+  }
+
+  // Each exemplar goes out once, with the delta it belongs to
+  const exported = received.length;
+  await waitFor(() => received.length > exported + 1, { message: "later exports" });
+  const ids = exemplarIds();
+  assert.deepEqual(ids, [...new Set(ids)]);
+});
+
+test("exemplars survive the protobuf encoding", async () => {
+  const { resourceMetrics } = await exporter.memoryReader.collect();
+  const metric = resourceMetrics.scopeMetrics[0].metrics.find(m => m.descriptor.name === "opencode.message.count");
+  metric.dataPoints[0].exemplars = [{ labels: { message_id: "msg_9" }, value: 1, time: [1700000000, 0] }];
+
+  const serializer = exemplarSerializer("http/protobuf", {});
+  const request = root.opentelemetry.proto.collector.metrics.v1.ExportMetricsServiceRequest.decode(
+    serializer.serializeRequest([resourceMetrics])
+  );
+  const [point] = request.resourceMetrics[0].scopeMetrics[0].metrics.find(m => m.name === "opencode.message.count").sum.dataPoints;
+  assert.equal(point.exemplars[0].filteredAttributes[0].key, "message_id");
+  assert.equal(point.exemplars[0].filteredAttributes[0].value.stringValue, "msg_9");
+  assert.equal(String(point.exemplars[0].timeUnixNano), "1700000000000000000");
+});
+
+// The serializer is private to the SDK's exporters: an upgrade that moves it fails here, not silently
+test("every OTLP metric exporter still has the serializer exemplars hook into", async () => {
+  for (const [protocol, Exporter] of [["grpc", OTLPMetricExporterGrpc], ["http/protobuf", OTLPMetricExporterProto], ["http/json", OTLPMetricExporterHttp]]) {
+    const sdkExporter = new Exporter({ url: "http://127.0.0.1:1" });
+    assert.equal(extendSerializer(sdkExporter, protocol), true, protocol);
+    assert.equal(typeof sdkExporter._otlpExporter._serializer.serializeRequest, "function", protocol);
+    await sdkExporter.shutdown();
+  }
+});
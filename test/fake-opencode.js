@@ -0,0 +1,152 @@
+// Fake OpenCode server for the tests: serves /global/health, /session, /session/:id/message
+// and an /event stream the test drives by hand (emit, raw send, end, stall).
+// `node test/fake-opencode.js` serves a couple of sample sessions on PORT (default 4096).
+import { createServer } from "http";
+import { pathToFileURL } from "url";
+
+// A subagent session when parentID is set
+export function session(id, { title = id, directory = `/home/dev/${id}`, time = Date.now(), parentID } = {}) {
+  const info = { id, slug: id, title, directory, time: { created: time, updated: time } };
+  if (parentID) info.parentID = parentID;
+  return info;
+}
+
+// A finished assistant message unless finish is set to null. Older OpenCode versions send
+// mode without agent.
+export function assistantMessage(id, sessionID, {
+  modelID = "claude-sonnet-4-20250514",
+  providerID = "anthropic",
+  agent = "build",
+  mode = agent,
+  tokens = { input: 100, output: 50, reasoning: 0, cache: { read: 0, write: 0 } },
+  cost = 0,
+  finish = "stop",
+  time = Date.now(),
+} = {}) {
+  const info = { id, sessionID, role: "assistant", modelID, providerID, tokens, cost, time: { created: time - 2000 } };
+  if (agent) info.agent = agent;
+  if (mode) info.mode = mode;
+  if (finish) {
+    info.finish = finish;
+    info.time.completed = time;
+  }
+  return info;
+}
+
+export function toolPart(callID, sessionID, messageID, { tool = "bash", status = "completed", error, time = Date.now() } = {}) {
+  const state = { status, time: { start: time - 500 } };
+  if (status === "completed" || status === "error") state.time.end = time;
+  if (error) state.error = error;
+  return { id: `prt_${callID}`, type: "tool", tool, callID, sessionID, messageID, state };
+}
+
+export async function startFakeOpenCode({ sessions = [], messages = {}, version = "0.0.0-test", port = 0 } = {}) {
+  const streams = new Set();
+  const connections = []; // {lastEventId} per /event request, in order
+  const waiters = [];
+  let heartbeats = true;
+  let nextId = 1;
+
+  const server = createServer((req, res) => {
+    const path = new URL(req.url, "http://localhost").pathname;
+    const json = (body, status = 200) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (path === "/global/health") return json({ healthy: fake.healthy, version });
+    if (path === "/session") return json(fake.sessions);
+    const messagePath = path.match(/^\/session\/([^/]+)\/message$/);
+    if (messagePath) {
+      if (fake.failingSessions.has(messagePath[1])) return json({ error: "internal error" }, 500);
+      return json(fake.messages[messagePath[1]] || []);
+    }
+
+    if (path === "/event") {
+      res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+      res.write(`data: ${JSON.stringify({ type: "server.connected", properties: {} })}\n\n`);
+      const stream = { res, heartbeat: setInterval(() => heartbeats && res.write(": ping\n\n"), 100) };
+      streams.add(stream);
+      connections.push({ lastEventId: req.headers["last-event-id"] || "" });
+      req.on("close", () => {
+        clearInterval(stream.heartbeat);
+        streams.delete(stream);
+      });
+      for (const waiter of waiters.splice(0)) {
+        if (connections.length >= waiter.count) waiter.resolve();
+        else waiters.push(waiter);
+      }
+      return;
+    }
+
+    json({ error: "not found" }, 404);
+  });
+
+  await new Promise(resolve => server.listen(port, "127.0.0.1", resolve));
+
+  const fake = {
+    url: `http://127.0.0.1:${server.address().port}`,
+    healthy: true,
+    sessions,
+    messages,
+    connections,
+    failingSessions: new Set(), // Session ids whose /message requests answer 500
+
+    // Store a message (or replace it by id) and bump its session's time.updated, like OpenCode does
+    putMessage(info, parts = []) {
+      const list = fake.messages[info.sessionID] ||= [];
+      const index = list.findIndex(m => m.info.id === info.id);
+      if (index === -1) list.push({ info, parts });
+      else list[index] = { info, parts };
+      const owner = fake.sessions.find(s => s.id === info.sessionID);
+      if (owner) owner.time.updated = Math.max(Date.now(), owner.time.updated + 1);
+    },
+
+    // Send an event to every open stream; returns its event id
+    emit(type, properties) {
+      const id = String(nextId++);
+      fake.send(`id: ${id}\ndata: ${JSON.stringify({ type, properties })}\n\n`);
+      return id;
+    },
+
+    send(text) {
+      for (const { res } of streams) res.write(text);
+    },
+
+    // End every open stream cleanly, optionally telling clients how soon to reconnect
+    endStreams({ retry } = {}) {
+      for (const stream of streams) {
+        if (retry !== undefined) stream.res.write(`retry: ${retry}\n\n`);
+        stream.res.end();
+      }
+    },
+
+    // Keep streams open but stop sending heartbeats, like a half-open connection
+    stall(stalled = true) {
+      heartbeats = !stalled;
+    },
+
+    // Resolves once the server has accepted `count` event stream connections in total
+    waitForConnections(count) {
+      if (connections.length >= count) return Promise.resolve();
+      return new Promise(resolve => waiters.push({ count, resolve }));
+    },
+
+    async close() {
+      for (const stream of streams) clearInterval(stream.heartbeat);
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    },
+  };
+  return fake;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const fake = await startFakeOpenCode({
+    port: parseInt(process.env.PORT || "4096", 10),
+    sessions: [session("ses_demo1"), session("ses_demo2")],
+  });
+  fake.putMessage(assistantMessage("msg_demo1", "ses_demo1"), [toolPart("call_demo1", "ses_demo1", "msg_demo1")]);
+  fake.putMessage(assistantMessage("msg_demo2", "ses_demo2", { modelID: "gpt-4o", providerID: "openai" }));
+  console.log(`Fake OpenCode listening on ${fake.url}`);
+}
@@ -0,0 +1,63 @@
+// /healthz fails only when a connected target's poller stalls; an unreachable OpenCode shows in /readyz
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { session, startFakeOpenCode } from "./fake-opencode.js";
+import { loadExporter, waitFor } from "./helpers.js";
+
+const opencode = await startFakeOpenCode({ sessions: [session("ses_1")] });
+const exporter = await loadExporter({
+  OPENCODE_URL: opencode.url,
+  HEALTH_PORT: "0", // Any free port
+  POLL_INTERVAL: "100", // Three intervals make the staleness window
+  SSE_IDLE_TIMEOUT: "200",
+  MAX_RECONNECT_DELAY: "1000",
+});
+const { startHealthServer } = await import("../src/health.js");
+const target = exporter.targets[0];
+const server = startHealthServer();
+await new Promise(resolve => server.once("listening", resolve));
+
+async function probe(path) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+  return { status: response.status, report: await response.json() };
+}
+const healthz = () => probe("/healthz");
+const readyz = () => probe("/readyz");
+
+before(async () => {
+  exporter.connectAndListen(target);
+  await waitFor(() => target.sseConnected, { message: "stream connected" });
+});
+
+after(async () => {
+  exporter.disconnect(target);
+  server.close();
+  await opencode.close();
+});
+
+test("an OpenCode server that stays unreachable fails /readyz but not /healthz", async () => {
+  assert.equal((await readyz()).status, 200);
+
+  // A silent stream is dropped after SSE_IDLE_TIMEOUT, and the reconnect backs off past the window
+  opencode.stall();
+  await waitFor(async () => (await readyz()).report.targets[0].unreachable, { message: "unreachable" });
+  assert.equal((await readyz()).status, 503);
+  const { status, report } = await healthz();
+  assert.equal(status, 200);
+  assert.equal(report.targets[0].wedged, false);
+
+  opencode.stall(false);
+  await waitFor(async () => (await readyz()).status === 200, { timeout: 5000, message: "ready again" });
+  assert.equal(target.sseConnected, true);
+});
+
+test("a connected target whose poller stops completing cycles is wedged", async () => {
+  assert.equal((await healthz()).status, 200);
+
+  exporter.stopPolling(target);
+  await waitFor(async () => (await healthz()).status === 503, { message: "unhealthy" });
+  const { report } = await healthz();
+  assert.equal(report.targets[0].sse_connected, true);
+  assert.equal(report.targets[0].wedged, true);
+  assert.equal((await readyz()).status, 200);
+});
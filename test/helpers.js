@@ -0,0 +1,67 @@
+// Shared test setup. The exporter's modules read their configuration from the environment
+// when first imported, so each test file (its own process under `node --test`) calls
+// loadExporter once, after starting its fake OpenCode server.
+import { mkdtempSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+export async function loadExporter(env = {}) {
+  Object.assign(process.env, {
+    OTEL_METRICS_EXPORTER: "memory",
+    INSTANCE_ID: "test",
+    LOG_LEVEL: process.env.LOG_LEVEL || "error",
+    POLL_INTERVAL: "600000", // Tests poll by hand
+    STATE_FILE: join(mkdtempSync(join(tmpdir(), "opencode-exporter-")), "state.json"),
+    ...env,
+  });
+  const modules = await Promise.all([
+    import("../src/telemetry.js"),
+    import("../src/targets.js"),
+    import("../src/checkpoints.js"),
+    import("../src/connection.js"),
+    import("../src/polling.js"),
+    import("../src/stream.js"),
+    import("../src/archive.js"),
+  ]);
+  return Object.assign({}, ...modules);
+}
+
+// Every data point currently held by the in-memory reader, as {name, attributes, value}
+export async function collectMetrics(exporter) {
+  const { resourceMetrics } = await exporter.memoryReader.collect();
+  const points = [];
+  for (const scope of resourceMetrics.scopeMetrics) {
+    for (const metric of scope.metrics) {
+      for (const point of metric.dataPoints) {
+        points.push({ name: metric.descriptor.name, attributes: point.attributes, value: point.value });
+      }
+    }
+  }
+  return points;
+}
+
+// Sum of a counter over every series whose attributes include `match`
+export function sumOf(points, name, match = {}) {
+  return points
+    .filter(p => p.name === name && Object.entries(match).every(([k, v]) => p.attributes[k] === v))
+    .reduce((sum, p) => sum + p.value, 0);
+}
+
+export async function waitFor(check, { timeout = 3000, message = "condition" } = {}) {
+  const deadline = Date.now() + timeout;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Wait until the exporter has handled `count` more stream events than `since`
+export async function eventsHandled(exporter, since, count) {
+  await waitFor(async () => sumOf(await collectMetrics(exporter), "opencode_exporter.events.processed") >= since + count, {
+    message: `${count} events`,
+  });
+}
+
+export async function eventCount(exporter) {
+  return sumOf(await collectMetrics(exporter), "opencode_exporter.events.processed");
+}
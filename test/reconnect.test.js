@@ -0,0 +1,81 @@
+// Event stream reconnects: clean ends with a retry hint, half-open connections, malformed events
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { assistantMessage, session, startFakeOpenCode } from "./fake-opencode.js";
+import { collectMetrics, eventCount, eventsHandled, loadExporter, sumOf, waitFor } from "./helpers.js";
+
+const opencode = await startFakeOpenCode({ sessions: [session("ses_1")] });
+const exporter = await loadExporter({ OPENCODE_URL: opencode.url, SSE_IDLE_TIMEOUT: "400" });
+const target = exporter.targets[0];
+
+before(async () => {
+  exporter.connectAndListen(target);
+  await opencode.waitForConnections(1);
+  await eventsHandled(exporter, 0, 1);
+});
+
+after(async () => {
+  exporter.disconnect(target);
+  await opencode.close();
+});
+
+test("a cleanly ended stream reconnects after the server's retry hint and resumes from the last event id", async () => {
+  const since = await eventCount(exporter);
+  const lastId = opencode.emit("message.updated", { info: assistantMessage("msg_1", "ses_1", { modelID: "gpt-4o" }) });
+  await eventsHandled(exporter, since, 1);
+
+  // Finished while the stream is down, so only the catch-up poll on reconnect can see it
+  opencode.putMessage(assistantMessage("msg_2", "ses_1", { modelID: "gpt-4o" }));
+  opencode.endStreams({ retry: 20 });
+  await opencode.waitForConnections(2);
+  assert.equal(opencode.connections[1].lastEventId, lastId);
+
+  await waitFor(async () => sumOf(await collectMetrics(exporter), "opencode.message.count", { model: "gpt-4o" }) === 2, {
+    message: "catch-up poll",
+  });
+  const points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode_exporter.sse.reconnects", { reason: "ended" }), 1);
+  assert.equal(sumOf(points, "opencode.session.count"), 1);
+});
+
+test("a stream that goes silent is dropped after SSE_IDLE_TIMEOUT and reconnected", async () => {
+  const connections = opencode.connections.length;
+  opencode.stall();
+  await waitFor(async () => sumOf(await collectMetrics(exporter), "opencode_exporter.sse.reconnects", { reason: "idle" }) === 1, {
+    message: "idle reconnect",
+  });
+  opencode.stall(false);
+  await opencode.waitForConnections(connections + 1);
+  await waitFor(() => target.sseConnected, { timeout: 5000, message: "stream connected" });
+  assert.equal(target.reconnectAttempts, 0);
+});
+
+test("malformed events are counted and skipped without breaking the stream", async () => {
+  const since = await eventCount(exporter);
+  opencode.send("data: {not json\n\n");
+  opencode.send("data: {\"properties\": {}}\n\n");
+  opencode.emit("message.updated", { info: assistantMessage("msg_3", "ses_1", { modelID: "gpt-4o" }) });
+  await eventsHandled(exporter, since, 1);
+
+  const points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode_exporter.sse.malformed"), 2);
+  assert.equal(sumOf(points, "opencode.message.count", { model: "gpt-4o" }), 3);
+  assert.equal(sumOf(points, "opencode_exporter.sse.connected"), 1);
+});
+
+test("an unreachable server is retried with backoff and counted as a connection error", async () => {
+  const connections = opencode.connections.length;
+  const errors = sumOf(await collectMetrics(exporter), "opencode.error.count", { type: "connection" });
+  opencode.healthy = false;
+  opencode.endStreams({ retry: 20 });
+  await waitFor(() => target.reconnectAttempts === 1, { message: "failed reconnect" });
+  assert.equal(target.isServiceRunning, 0);
+
+  // The first retry comes 2s after the failure
+  opencode.healthy = true;
+  await opencode.waitForConnections(connections + 1);
+  await waitFor(() => target.reconnectAttempts === 0, { message: "recovery" });
+  const points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode.error.count", { type: "connection" }), errors + 1);
+  assert.equal(sumOf(points, "opencode.service.running"), 1);
+});
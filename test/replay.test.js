@@ -0,0 +1,121 @@
+// `replay`: session history turned into timestamped OpenMetrics samples or OTLP data points
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, writeFileSync } from "fs";
+import { createServer } from "http";
+import { tmpdir } from "os";
+import { join } from "path";
+import { assistantMessage, session, startFakeOpenCode } from "./fake-opencode.js";
+import { loadExporter } from "./helpers.js";
+
+const dir = mkdtempSync(join(tmpdir(), "opencode-replay-"));
+const output = join(dir, "replay.om");
+// REPLAY_MODE is read from the command line when config.js is first imported
+process.argv = [process.argv[0], "index.js", "replay", "--file", output];
+// Listed before their parents, as nothing guarantees the API's order
+const opencode = await startFakeOpenCode({
+  sessions: [
+    session("ses_grandchild", { parentID: "ses_child" }),
+    session("ses_broken"),
+    session("ses_child", { parentID: "ses_root" }),
+    session("ses_root"),
+  ],
+});
+for (const id of ["ses_grandchild", "ses_broken", "ses_root"]) {
+  opencode.putMessage(assistantMessage(`msg_${id}`, id, { time: Date.now() - 60000 }));
+}
+opencode.failingSessions.add("ses_broken");
+// A fake OTLP/HTTP collector for --output otlp, keeping every request it gets
+const received = [];
+const collector = createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => body += chunk);
+  req.on("end", () => {
+    received.push(JSON.parse(body));
+    res.writeHead(200, { "Content-Type": "application/json" }).end("{}");
+  });
+});
+await new Promise(resolve => collector.listen(0, "127.0.0.1", resolve));
+await loadExporter({
+  INSTANCE_ID: "replay",
+  OPENCODE_URL: opencode.url,
+  LABEL_SESSION: "true",
+  OTEL_EXPORTER_OTLP_PROTOCOL: "http/json",
+  OTEL_EXPORTER_OTLP_METRICS_ENDPOINT: `http://127.0.0.1:${collector.address().port}/v1/metrics`,
+});
+const { runReplay } = await import("../src/replay.js");
+
+after(() => {
+  opencode.close();
+  collector.close();
+});
+
+async function replay(...args) {
+  process.argv = [process.argv[0], "index.js", "replay", "--file", output, ...args];
+  await runReplay();
+  return readFileSync(output, "utf8").split("\n").filter(line => line && !line.startsWith("#"));
+}
+
+// Timestamp (ms) of an OpenMetrics sample line: the field after the value, before any exemplar
+const sampleTime = (line) => Number(line.split(" # ")[0].trim().split(" ").pop()) * 1000;
+
+test("no sample is stamped later than the newest event it counts", async () => {
+  const newest = Date.now() - 60000;
+  const info = session("ses_1", { time: newest - 600000 });
+  const files = mkdtempSync(join(dir, "exports-"));
+  writeFileSync(join(files, "ses_1.json"), JSON.stringify({
+    info,
+    messages: [
+      { info: assistantMessage("msg_1", "ses_1", { time: newest - 300000 }), parts: [] },
+      { info: assistantMessage("msg_2", "ses_1", { time: newest }), parts: [] },
+    ],
+  }));
+
+  const lines = await replay("--dir", files, "--step", "3600");
+  const counts = lines.filter(line => line.startsWith("opencode_message_count_total"));
+  assert.ok(counts.length > 0);
+  assert.equal(Number(counts[counts.length - 1].split(" ")[1]), 2);
+  for (const line of lines) {
+    assert.ok(sampleTime(line) <= newest, `${line} is after the newest event`);
+  }
+});
+
+test("subagents in a --dir export roll up to their root whatever order the files are read in", async () => {
+  const files = mkdtempSync(join(dir, "exports-"));
+  const time = Date.now() - 60000;
+  const exported = (id, parentID) => JSON.stringify({
+    info: session(id, { parentID, time: time - 60000 }),
+    messages: [{ info: assistantMessage(`msg_${id}`, id, { time }), parts: [] }],
+  });
+  // Children sort before their parents
+  writeFileSync(join(files, "a_grand.json"), exported("ses_g", "ses_c"));
+  writeFileSync(join(files, "b_child.json"), exported("ses_c", "ses_p"));
+  writeFileSync(join(files, "c_parent.json"), exported("ses_p"));
+
+  const counts = (await replay("--dir", files)).filter(line => line.startsWith("opencode_message_count_total"));
+  assert.ok(counts.some(line => line.includes('session_id="ses_g"') && line.includes('root_session_id="ses_p"')));
+  assert.ok(counts.some(line => line.includes('session_id="ses_c"') && line.includes('root_session_id="ses_p"')));
+  assert.ok(!counts.some(line => line.includes('root_session_id="ses_c"')));
+});
+
+test("a session whose messages can't be fetched is skipped, and subagents still roll up to their root", async () => {
+  const lines = await replay();
+  const counts = lines.filter(line => line.startsWith("opencode_message_count_total"));
+  assert.ok(counts.some(line => line.includes('session_id="ses_root"')));
+  assert.ok(counts.some(line => line.includes('session_id="ses_grandchild"') && line.includes('root_session_id="ses_root"')));
+  assert.ok(!lines.some(line => line.includes("ses_broken")));
+});
+
+test("OTLP replay sends each message's exemplar with the point it changed", async () => {
+  process.argv = [process.argv[0], "index.js", "replay", "--output", "otlp"];
+  await runReplay();
+  const points = received
+    .flatMap(request => request.resourceMetrics.flatMap(r => r.scopeMetrics))
+    .flatMap(scope => scope.metrics.filter(m => m.name === "opencode.message.count"))
+    .flatMap(metric => metric.sum.dataPoints);
+  const root = points.filter(p => p.attributes.some(a => a.key === "session_id" && a.value.stringValue === "ses_root"));
+  const exemplars = root.flatMap(p => p.exemplars || []);
+  assert.equal(exemplars.length, 1);
+  // session_id is already a label on the point, so only message_id is left
+  assert.deepEqual(exemplars[0].filteredAttributes, [{ key: "message_id", value: { stringValue: "msg_ses_root" } }]);
+});
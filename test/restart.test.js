@@ -0,0 +1,116 @@
+// Restarts: the checkpoint in STATE_FILE keeps a restarted exporter from counting anything twice
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { assistantMessage, session, startFakeOpenCode, toolPart } from "./fake-opencode.js";
+import { collectMetrics, eventCount, eventsHandled, loadExporter, sumOf, waitFor } from "./helpers.js";
+
+const opencode = await startFakeOpenCode({ sessions: [session("ses_1")] });
+opencode.putMessage(assistantMessage("msg_1", "ses_1"), [toolPart("call_1", "ses_1", "msg_1")]);
+const exporter = await loadExporter({ OPENCODE_URL: opencode.url });
+const target = exporter.targets[0];
+const live = { model: "claude-sonnet-4-20250514", source: "test" };
+let connection; // The running connectAndListen attempt
+
+// What a fresh process would have: no counted messages, then whatever the state file says
+async function restart() {
+  exporter.disconnect(target);
+  await connection;
+  exporter.saveCheckpoints();
+  target.checkpoints.clear();
+  target.processedMessages.clear();
+  target.unscoped.clear();
+  target.hasCheckpoint = false;
+  target.stopped = false;
+  exporter.loadCheckpoints();
+
+  const connections = opencode.connections.length;
+  const events = await eventCount(exporter);
+  connection = exporter.connectAndListen(target);
+  await opencode.waitForConnections(connections + 1);
+  await eventsHandled(exporter, events, 1);
+}
+
+before(async () => {
+  connection = exporter.connectAndListen(target);
+  await opencode.waitForConnections(1);
+  await eventsHandled(exporter, 0, 1);
+});
+
+after(async () => {
+  exporter.disconnect(target);
+  await opencode.close();
+});
+
+test("the checkpoint records every counted message and tool call", async () => {
+  const since = await eventCount(exporter);
+  const info = assistantMessage("msg_2", "ses_1");
+  opencode.putMessage(info);
+  opencode.emit("message.updated", { info });
+  await eventsHandled(exporter, since, 1);
+  exporter.saveCheckpoints();
+
+  const state = JSON.parse(readFileSync(process.env.STATE_FILE, "utf8"));
+  assert.equal(state.version, 2);
+  const cp = state.targets.test.sessions.ses_1;
+  assert.deepEqual(cp.messages.sort(), ["msg_1-assistant", "msg_2-assistant"]);
+  assert.deepEqual(cp.tools, ["call_1"]);
+});
+
+test("a restart neither backfills again nor recounts messages, and catches up on what it missed", async () => {
+  const before = await collectMetrics(exporter);
+  assert.equal(sumOf(before, "opencode.message.count", { model: "historical" }), 1);
+  assert.equal(sumOf(before, "opencode.message.count", live), 1);
+
+  // Finished while the exporter was down
+  opencode.putMessage(assistantMessage("msg_3", "ses_1"), [toolPart("call_3", "ses_1", "msg_3", { tool: "read" })]);
+  await restart();
+  await waitFor(async () => sumOf(await collectMetrics(exporter), "opencode.message.count", live) === 2, { message: "catch-up" });
+
+  const points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode.message.count", { model: "historical" }), 1);
+  assert.equal(sumOf(points, "opencode.token.usage", { type: "input", ...live }), 200);
+  assert.equal(sumOf(points, "opencode.tool.usage", { tool: "bash" }), 1);
+  assert.equal(sumOf(points, "opencode.tool.usage", { tool: "read" }), 1);
+  assert.equal(sumOf(points, "opencode.session.count"), 1);
+});
+
+test("events replayed by the server after a restart are not counted again", async () => {
+  const since = await eventCount(exporter);
+  opencode.emit("message.updated", { info: assistantMessage("msg_2", "ses_1") });
+  opencode.emit("message.part.updated", { part: toolPart("call_3", "ses_1", "msg_3", { tool: "read" }) });
+  await eventsHandled(exporter, since, 2);
+
+  const points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode.message.count", live), 2);
+  assert.equal(sumOf(points, "opencode.tool.usage", { tool: "read" }), 1);
+});
+
+test("sessions OpenCode no longer lists are dropped from the checkpoint", async () => {
+  opencode.sessions.length = 0;
+  await exporter.pollSessions(target);
+  exporter.saveCheckpoints();
+
+  const state = JSON.parse(readFileSync(process.env.STATE_FILE, "utf8"));
+  assert.deepEqual(Object.keys(state.targets.test.sessions), []);
+  assert.equal(target.processedMessages.size, 0);
+});
+
+test("messages and tool calls without a session id count once but stay out of the checkpoint", async () => {
+  const since = await eventCount(exporter);
+  const { sessionID, ...info } = assistantMessage("msg_4", "ses_1", { modelID: "gpt-4o" });
+  const { sessionID: partSession, ...part } = toolPart("call_4", "ses_1", "msg_4", { tool: "grep" });
+  for (let i = 0; i < 2; i++) {
+    opencode.emit("message.updated", { info });
+    opencode.emit("message.part.updated", { part });
+  }
+  await eventsHandled(exporter, since, 4);
+  exporter.saveCheckpoints();
+
+  const points = await collectMetrics(exporter);
+  assert.equal(sumOf(points, "opencode.message.count", { model: "gpt-4o" }), 1);
+  assert.equal(sumOf(points, "opencode.tool.usage", { tool: "grep" }), 1);
+  const state = JSON.parse(readFileSync(process.env.STATE_FILE, "utf8"));
+  assert.deepEqual(Object.keys(state.targets.test.sessions), []);
+  assert.equal(target.checkpoints.has(""), false);
+});
@@ -0,0 +1,112 @@
+// Export spool: batches the collector can't take wait on disk and are sent in order once it is back
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readdirSync } from "fs";
+import { createServer } from "http";
+import { tmpdir } from "os";
+import { join } from "path";
+import { collectMetrics, loadExporter, sumOf, waitFor } from "./helpers.js";
+
+// A fake OTLP/HTTP collector answering with `status`; what it accepts is kept in `received`
+const collector = { status: 200, received: [] };
+const server = createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => body += chunk);
+  req.on("end", () => {
+    if (collector.status === 200) collector.received.push(JSON.parse(body));
+    res.writeHead(collector.status, { "Content-Type": "application/json" }).end("{}");
+  });
+});
+await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+const spoolDir = mkdtempSync(join(tmpdir(), "opencode-spool-"));
+const exporter = await loadExporter({
+  OTEL_METRICS_EXPORTER: "otlp,memory",
+  OTEL_EXPORTER_OTLP_PROTOCOL: "http/json",
+  OTEL_EXPORTER_OTLP_METRICS_ENDPOINT: `http://127.0.0.1:${server.address().port}/v1/metrics`,
+  OTEL_EXPORTER_OTLP_METRICS_TEMPORALITY_PREFERENCE: "delta",
+  EXPORT_INTERVAL: "50",
+  EXPORT_RETRY_MAX_DELAY: "200",
+  EXPORT_SPOOL_DIR: spoolDir,
+  EXPORT_SPOOL_MAX_BYTES: "0", // Off until the first test turns it on by reloading
+});
+const { spoolStatus } = await import("../src/spool.js");
+const config = await import("../src/config.js");
+
+// Every opencode.message.count data point the collector accepted, in the order it got them
+function receivedMessageCounts() {
+  const points = [];
+  for (const request of collector.received) {
+    for (const scope of request.resourceMetrics.flatMap(r => r.scopeMetrics)) {
+      for (const metric of scope.metrics.filter(m => m.name === "opencode.message.count")) {
+        points.push(...metric.sum.dataPoints.map(p => ({ value: Number(p.asInt ?? p.asDouble), time: BigInt(p.timeUnixNano) })));
+      }
+    }
+  }
+  return points;
+}
+
+after(async () => {
+  collector.status = 200;
+  await exporter.meterProvider.shutdown();
+  server.close();
+});
+
+test("a reload turns on a spool that was off at startup", async () => {
+  collector.status = 500;
+  await waitFor(() => exporter.exportStatus.lastFailure > 0, { message: "failed export" });
+  assert.equal(spoolStatus.batches, 0);
+  assert.deepEqual(readdirSync(spoolDir), []);
+
+  delete process.env.EXPORT_SPOOL_MAX_BYTES;
+  config.reloadConfig();
+  await waitFor(() => spoolStatus.batches >= 1, { message: "spooled batch" });
+  collector.status = 200;
+  await waitFor(() => spoolStatus.batches === 0, { message: "spool drained" });
+  collector.received.length = 0; // The next test counts from an empty collector
+});
+
+test("batches exported while the collector is down are spooled, then sent in order once it is back", async () => {
+  collector.status = 500;
+  exporter.messageCounter.add(1, { model: "a" });
+  await waitFor(() => spoolStatus.batches >= 2, { message: "spooled batches" });
+  exporter.messageCounter.add(2, { model: "a" });
+  await waitFor(() => spoolStatus.batches >= 4, { message: "more spooled batches" });
+  assert.equal(readdirSync(spoolDir).length, spoolStatus.batches);
+  assert.equal(collector.received.length, 0);
+
+  collector.status = 200;
+  await waitFor(() => spoolStatus.batches === 0, { message: "spool drained" });
+  exporter.messageCounter.add(4, { model: "a" });
+  await waitFor(() => receivedMessageCounts().reduce((sum, p) => sum + p.value, 0) === 7, { message: "every delta delivered" });
+
+  const times = receivedMessageCounts().map(p => p.time);
+  assert.deepEqual(times, [...times].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0)));
+  assert.deepEqual(readdirSync(spoolDir), []);
+  assert.ok(spoolStatus.replayed >= 4);
+  assert.ok(sumOf(await collectMetrics(exporter), "opencode_exporter.spool.replayed") >= 4);
+});
+
+test("a full spool drops its oldest batches and counts them", async () => {
+  collector.status = 500;
+  await waitFor(() => spoolStatus.batches >= 1, { message: "spooled batch" });
+  process.env.EXPORT_SPOOL_MAX_BYTES = String(Math.floor(spoolStatus.bytes * 2.5));
+  config.reloadConfig();
+  await waitFor(() => spoolStatus.dropped.full >= 2, { message: "dropped batches" });
+  assert.ok(spoolStatus.bytes <= config.EXPORT_SPOOL_MAX_BYTES);
+  assert.ok(spoolStatus.batches <= 3);
+  assert.ok(sumOf(await collectMetrics(exporter), "opencode_exporter.spool.dropped", { reason: "full" }) >= 2);
+
+  delete process.env.EXPORT_SPOOL_MAX_BYTES;
+  config.reloadConfig();
+  collector.status = 200;
+  await waitFor(() => spoolStatus.batches === 0, { message: "spool drained" });
+});
+
+test("spooled batches the collector rejects are dropped instead of blocking the rest", async () => {
+  collector.status = 500;
+  await waitFor(() => spoolStatus.batches >= 2, { message: "spooled batches" });
+  collector.status = 400;
+  await waitFor(() => spoolStatus.dropped.rejected >= 2 && spoolStatus.batches === 0, { message: "rejected batches dropped" });
+  assert.deepEqual(readdirSync(spoolDir), []);
+});
@@ -0,0 +1,43 @@
+// The text/event-stream parser on its own, fed chunks the way a socket would split them
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadExporter } from "./helpers.js";
+
+const { createEventStreamParser } = await loadExporter();
+
+function parse(...chunks) {
+  const events = [];
+  const retries = [];
+  const parser = createEventStreamParser({ onEvent: e => events.push(e), onRetry: ms => retries.push(ms) });
+  chunks.forEach(chunk => parser.push(chunk));
+  return { events, retries };
+}
+
+test("dispatches on a blank line with any line ending", () => {
+  const { events } = parse("data: a\n\ndata: b\r\n\r\ndata: c\r\rdata: d\n\n");
+  assert.deepEqual(events.map(e => e.data), ["a", "b", "c", "d"]);
+});
+
+test("joins multi-line data and keeps the event type and last id", () => {
+  const { events } = parse("event: update\nid: 7\ndata: {\"a\":\ndata: 1}\n\ndata: next\n\n");
+  assert.deepEqual(events, [
+    { type: "update", data: "{\"a\":\n1}", lastEventId: "7" },
+    { type: "message", data: "next", lastEventId: "7" },
+  ]);
+});
+
+test("handles lines and CRLF pairs split across chunks", () => {
+  const { events } = parse("da", "ta: sp", "lit\r", "\n\r", "\n");
+  assert.deepEqual(events.map(e => e.data), ["split"]);
+});
+
+test("ignores comments, unknown fields and a leading BOM", () => {
+  const { events } = parse("﻿: heartbeat\nfoo: bar\ndata: x\n\n: ping\n\n");
+  assert.deepEqual(events.map(e => e.data), ["x"]);
+});
+
+test("reports numeric retry hints only", () => {
+  const { events, retries } = parse("retry: 1500\n\nretry: soon\n\n");
+  assert.deepEqual(retries, [1500]);
+  assert.deepEqual(events, []);
+});
@@ -0,0 +1,17 @@
+// OTEL_EXPORTER_OTLP_METRICS_TEMPORALITY_PREFERENCE for the OTLP metric exporter
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AggregationTemporality, InstrumentType } from "@opentelemetry/sdk-metrics";
+
+process.env.OTEL_EXPORTER_OTLP_METRICS_TEMPORALITY_PREFERENCE = "Delta";
+const { createMetricExporter } = await import("../src/otlp.js");
+
+test("delta applies to counters and histograms, while up-down counters stay cumulative", async () => {
+  const exporter = createMetricExporter();
+  assert.equal(exporter.selectAggregationTemporality(InstrumentType.COUNTER), AggregationTemporality.DELTA);
+  assert.equal(exporter.selectAggregationTemporality(InstrumentType.HISTOGRAM), AggregationTemporality.DELTA);
+  assert.equal(exporter.selectAggregationTemporality(InstrumentType.OBSERVABLE_COUNTER), AggregationTemporality.DELTA);
+  assert.equal(exporter.selectAggregationTemporality(InstrumentType.UP_DOWN_COUNTER), AggregationTemporality.CUMULATIVE);
+  assert.equal(exporter.selectAggregationTemporality(InstrumentType.OBSERVABLE_UP_DOWN_COUNTER), AggregationTemporality.CUMULATIVE);
+  await exporter.shutdown();
+});
@@ -0,0 +1,53 @@
+// Trace spans follow the same privacy policy as metric labels
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { InMemorySpanExporter, SimpleSpanProcessor } from "@opentelemetry/sdk-trace-base";
+import { assistantMessage, session, startFakeOpenCode, toolPart } from "./fake-opencode.js";
+import { eventCount, eventsHandled, loadExporter } from "./helpers.js";
+
+const opencode = await startFakeOpenCode({ sessions: [session("ses_1", { title: "Acme rollout", directory: "/home/dev/acme" })] });
+const exporter = await loadExporter({
+  OPENCODE_URL: opencode.url,
+  OTEL_TRACES_EXPORTER: "otlp",
+  OTEL_EXPORTER_OTLP_TRACES_ENDPOINT: "http://127.0.0.1:1", // Never reached: spans are read from memory
+  REDACT_FIELDS: "title,directory,error",
+  REDACT_MODE: "hash",
+});
+const spans = new InMemorySpanExporter();
+exporter.tracerProvider.addSpanProcessor(new SimpleSpanProcessor(spans));
+const { endSessionSpan } = await import("../src/tracing.js");
+const target = exporter.targets[0];
+
+before(async () => {
+  exporter.connectAndListen(target);
+  await opencode.waitForConnections(1);
+  await eventsHandled(exporter, 0, 1);
+});
+
+after(async () => {
+  exporter.disconnect(target);
+  await opencode.close();
+});
+
+test("session titles, directories and tool errors are hashed in spans", async () => {
+  const since = await eventCount(exporter);
+  opencode.emit("message.updated", { info: assistantMessage("msg_1", "ses_1") });
+  opencode.emit("message.part.updated", {
+    part: toolPart("call_1", "ses_1", "msg_1", { status: "error", error: "cannot read /home/dev/acme/secrets.env" }),
+  });
+  await eventsHandled(exporter, since, 2);
+  endSessionSpan(target, "ses_1");
+
+  const finished = spans.getFinishedSpans();
+  const sessionSpan = finished.find(s => s.name === "opencode.session");
+  assert.match(sessionSpan.attributes["session.title"], /^sha256:[0-9a-f]{12}$/);
+  assert.match(sessionSpan.attributes["session.directory"], /^sha256:[0-9a-f]{12}$/);
+  assert.equal(sessionSpan.attributes["session.id"], "ses_1");
+
+  const toolSpan = finished.find(s => s.name === "opencode.tool bash");
+  assert.equal(toolSpan.attributes["tool.name"], "bash");
+  assert.match(toolSpan.status.message, /^sha256:[0-9a-f]{12}$/);
+
+  const raw = JSON.stringify(finished.map(s => ({ attributes: s.attributes, status: s.status })));
+  assert.ok(!raw.includes("Acme") && !raw.includes("acme"));
+});